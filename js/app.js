@@ -10,24 +10,29 @@ class BeatCountdownTimer {
         this.uiManager = new UIManager(this.soundConfig, this.getUICallbacks());
         this.timerManager = new TimerManager(this.audioManager, this.getTimerCallbacks());
         this.midiManager = new MIDIManager(this.soundConfig, this.getMIDICallbacks());
+        this.showTimeline = new ShowTimeline(this.soundConfig, this.getTimelineCallbacks());
+        this.cueList = new CueList(this.soundConfig, this.getCueCallbacks());
+        this.cueList.notifyChanged(); // Initial (empty) cue list render
+        this.showRenderer = new ShowRenderer(this.soundConfig);
         
         // Set up timer manager to get current sound from UI manager
         this.timerManager.getCurrentSound = () => this.uiManager.getSelectedSound();
+        this.timerManager.getCurrentEndingSound = () => this.uiManager.getSelectedEndingSound();
         
-        // Store reference to opening sound audio objects
-        this.openingSoundAudio = null;
-        this.openingSound2Audio = null;
-        
-        // Opening sound 2 sequence properties
-        this.openingSound2TotalBeats = 0;
-        this.openingSound2RemainingBeats = 0;
-        this.openingSound2VisualCount = 0;
-        this.openingSound2Bpm = 60;
-        this.openingSound2IsRunning = false;
-        this.openingSound2BeatInterval = 0;
-        this.openingSound2NextBeatTime = 0;
-        this.openingSound2StartTime = 0;
-        this.openingSound2AnimationFrameId = null;
+        // Live show saved continuously so it can be resumed after a reload or crash
+        this.sessionStore = new SessionStore();
+        
+        // Sounds imported in the browser, kept in IndexedDB
+        this.soundLibrary = new SoundLibrary();
+        
+        // Latency compensation between the sound, this screen and the displays (calibrated per controller)
+        this.latencySettings = new LatencySettings();
+        this.latencyCalibration = null; // { target, displayId, lags } while the operator taps along
+        this.latencyCalibrationTaps = 12;
+        
+        // Intro sequences (configured in IntroConfig) that lead into the countdown
+        this.introConfig = new IntroConfig();
+        this.introManager = new IntroManager(this.introConfig, this.audioManager, this.getIntroCallbacks());
         
         // WebSocket for broadcasting to display devices
         this.ws = null;
@@ -38,6 +43,9 @@ class BeatCountdownTimer {
         // Track previous countdown value to only broadcast when it changes
         this.previousCountdown = null;
         
+        // Position of the last displayed beat within its bar (null without a meter)
+        this.currentBeatInBar = null;
+        
         // Initialize the application
         this.initialize();
     }
@@ -46,11 +54,34 @@ class BeatCountdownTimer {
      * Initialize the application
      */
     async initialize() {
-        // Load audio files
-        await this.audioManager.loadAudioFiles();
+        // Add the imported sounds to the configuration, then load audio files (built-in and imported)
+        await this.loadCustomSounds();
+        this.refreshSoundButtons();
+        // Intro audio loads alongside, on the same progress bar and in the same report
+        const progress = { sounds: [0, 0], intros: [0, 0] };
+        const reportProgress = () => this.uiManager.updateSoundLoadProgress(
+            progress.sounds[0] + progress.intros[0],
+            progress.sounds[1] + progress.intros[1]
+        );
+        const [failedSounds, failedIntros] = await Promise.all([
+            this.audioManager.loadAudioFiles((done, total) => {
+                progress.sounds = [done, total];
+                reportProgress();
+            }),
+            this.introManager.loadIntroAudio((done, total) => {
+                progress.intros = [done, total];
+                reportProgress();
+            })
+        ]);
+        this.uiManager.showSoundLoadReport(failedSounds.concat(failedIntros));
+        this.refreshSoundButtons();
+        this.applyLatency();
         
-        // Set up opening sound button
-        this.setupOpeningSoundButton();
+        // Create a button per intro (missing files give disabled buttons)
+        this.uiManager.generateIntroButtons(this.introConfig.intros, label => this.introManager.isAvailable(label));
+        
+        // Offer to resume a show that was running when the page went away
+        this.offerSessionResume();
         
         // Set up audio initialization on first click
         this.setupAudioInitialization();
@@ -64,30 +95,265 @@ class BeatCountdownTimer {
     }
     
     /**
-     * Set up the opening sound button functionality
+     * Add the sounds stored in the sound library to the sound configuration
      */
-    setupOpeningSoundButton() {
-        const playOpeningSoundBtn = document.getElementById('playOpeningSoundBtn');
-        const playOpeningSound2Btn = document.getElementById('playOpeningSound2Btn');
-        const stopOpeningSoundBtn = document.getElementById('stopOpeningSoundBtn');
-        
-        if (playOpeningSoundBtn) {
-            playOpeningSoundBtn.addEventListener('click', () => {
-                this.playOpeningSound();
+    async loadCustomSounds() {
+        try {
+            const records = await this.soundLibrary.getAll();
+            records.forEach(record => {
+                this.soundConfig.addCustomSound({
+                    label: record.label,
+                    type: record.type,
+                    bpm: record.bpm,
+                    url: record.blob ? URL.createObjectURL(record.blob) : null,
+                    synth: record.synth || null,
+                    libraryId: record.id
+                });
             });
+        } catch (error) {
+            console.warn('Could not load imported sounds:', error);
+        }
+    }
+    
+    /**
+     * Import an audio file as a custom sound; resolves with true when it was added
+     */
+    async importSound({ file, label, type, bpm }) {
+        try {
+            this.soundConfig.validateCustomSound({ label, type, bpm });
+        } catch (error) {
+            alert(`Could not import sound: ${error.message}`);
+            return false;
         }
         
-        if (playOpeningSound2Btn) {
-            playOpeningSound2Btn.addEventListener('click', () => {
-                this.playOpeningSound2();
-            });
+        const sound = this.soundConfig.addCustomSound({ label, type, bpm, url: URL.createObjectURL(file) });
+        
+        // Decode it right away, so a file that isn't playable audio is refused instead of stored
+        await this.audioManager.loadUrlBasedSound(sound.label, sound);
+        if (!this.audioManager.audioBuffers[sound.label]) {
+            this.audioManager.removeSoundBuffers(sound.label);
+            this.soundConfig.removeCustomSound(sound.label);
+            URL.revokeObjectURL(sound.url);
+            alert(`Could not import sound: "${file.name}" is not an audio file this browser can play`);
+            return false;
         }
         
-        if (stopOpeningSoundBtn) {
-            stopOpeningSoundBtn.addEventListener('click', () => {
-                this.stopAllOpeningSounds();
+        try {
+            sound.libraryId = await this.soundLibrary.add({
+                label: sound.label,
+                type,
+                bpm: sound.bpm || null,
+                fileName: file.name,
+                blob: file
             });
+        } catch (error) {
+            // Still usable in this session, it just won't be there after a reload
+            console.warn(`Could not store ${sound.label}:`, error);
+            alert(`"${sound.label}" can be used now but could not be stored, so it will be gone after a reload`);
+        }
+        
+        this.refreshSoundButtons();
+        return true;
+    }
+    
+    /**
+     * Play synth parameters from the synth designer
+     */
+    auditionSynth(synth) {
+        this.audioManager.resumeAudioContext();
+        this.audioManager.scheduleSynthAudio(this.audioManager.getCurrentTime(), synth);
+    }
+    
+    /**
+     * Save synth parameters from the synth designer as a custom beat sound; resolves with true when it was added
+     */
+    async saveSynthSound({ label, synth }) {
+        try {
+            this.soundConfig.validateCustomSound({ label, type: 'regular' });
+        } catch (error) {
+            alert(`Could not save synth sound: ${error.message}`);
+            return false;
+        }
+        
+        const sound = this.soundConfig.addCustomSound({ label, type: 'regular', synth });
+        
+        try {
+            sound.libraryId = await this.soundLibrary.add({ label: sound.label, type: 'regular', bpm: null, synth });
+        } catch (error) {
+            console.warn(`Could not store ${sound.label}:`, error);
+            alert(`"${sound.label}" can be used now but could not be stored, so it will be gone after a reload`);
+        }
+        
+        this.refreshSoundButtons();
+        return true;
+    }
+    
+    /**
+     * Remove a custom sound from the library and the sound buttons
+     */
+    async removeCustomSound(label) {
+        const sound = this.soundConfig.removeCustomSound(label);
+        if (!sound) return;
+        
+        this.audioManager.removeSoundBuffers(label);
+        if (sound.url) {
+            URL.revokeObjectURL(sound.url);
+        }
+        
+        // Fall back to the defaults if the removed sound was selected
+        if (this.uiManager.getSelectedSound() === label) {
+            this.uiManager.setSoundType('Thump');
+        }
+        if (this.uiManager.getSelectedEndingSound() === label) {
+            this.uiManager.setEndingSoundType('Silent');
+        }
+        if (this.audioManager.getAmbientSound() === label) {
+            this.audioManager.stopAmbient();
+            this.uiManager.setAmbientPlaying(null);
+        }
+        
+        this.refreshSoundButtons();
+        
+        if (sound.libraryId !== null) {
+            try {
+                await this.soundLibrary.remove(sound.libraryId);
+            } catch (error) {
+                console.warn(`Could not delete ${label} from the sound library:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Rebuild the sound buttons, cue suggestions and custom sound list after the sounds changed
+     */
+    refreshSoundButtons() {
+        this.uiManager.generateSoundButtons(label => this.audioManager.getSoundAvailability(label));
+        this.uiManager.generateCueValueOptions();
+        this.uiManager.renderCustomSounds(this.soundConfig.getCustomSounds());
+    }
+    
+    /**
+     * Get the audio output latency in ms (calibrated, else reported by the browser)
+     */
+    getAudioLatencyMs() {
+        return this.latencySettings.getAudioLatencyMs(Math.round(this.audioManager.getOutputLatency() * 1000));
+    }
+    
+    /**
+     * Pass the latency settings on to the timer (visuals follow the sound by the output latency plus
+     * each screen's offset) and show them
+     */
+    applyLatency() {
+        const settings = this.latencySettings.settings;
+        const audioLatencyMs = this.getAudioLatencyMs();
+        
+        const displayTargets = [{ displayId: null, delay: (audioLatencyMs + settings.defaultDisplayOffsetMs) / 1000 }];
+        Object.keys(settings.displayOffsets).forEach(displayId => {
+            displayTargets.push({ displayId: displayId, delay: (audioLatencyMs + settings.displayOffsets[displayId]) / 1000 });
+        });
+        
+        this.timerManager.setLatency((audioLatencyMs + settings.screenOffsetMs) / 1000, displayTargets);
+        this.uiManager.renderLatency(settings, Math.round(this.audioManager.getOutputLatency() * 1000));
+    }
+    
+    /**
+     * Set a latency value in ms: target 'audio' (null follows the browser), 'screen' or 'display'
+     * (displayId null for the displays without their own offset)
+     */
+    setLatency(target, displayId, valueMs) {
+        if (target === 'audio') {
+            this.latencySettings.update({ audioLatencyMs: valueMs });
+        } else if (target === 'screen') {
+            this.latencySettings.update({ screenOffsetMs: valueMs || 0 });
+        } else if (displayId) {
+            this.latencySettings.setDisplayOffset(displayId, valueMs || 0);
+        } else {
+            this.latencySettings.update({ defaultDisplayOffsetMs: valueMs || 0 });
+        }
+        this.applyLatency();
+    }
+    
+    /**
+     * Remove a display's own offset (it follows the default display offset again)
+     */
+    removeLatencyDisplay(displayId) {
+        this.latencySettings.setDisplayOffset(displayId, null);
+        this.applyLatency();
+    }
+    
+    /**
+     * Start tap calibration for a latency target while a show is running: the operator taps along with
+     * the sound ('audio') or with the countdown on the screen or display being calibrated
+     */
+    startLatencyCalibration(target, displayId) {
+        if (!this.timerManager.isRunning || this.timerManager.isDisabled) {
+            alert('Start a show first, then tap along with its beats');
+            return;
+        }
+        
+        this.latencyCalibration = { target: target, displayId: displayId, lags: [] };
+        this.showLatencyCalibrationProgress();
+    }
+    
+    /**
+     * Show what to tap along with and how many taps are left
+     */
+    showLatencyCalibrationProgress() {
+        const { target, displayId, lags } = this.latencyCalibration;
+        const subject = target === 'audio'
+            ? 'the sound'
+            : (target === 'screen' ? 'the countdown on this screen' : `the countdown on display "${displayId || 'default'}"`);
+        
+        this.uiManager.setLatencyCalibration(`Tap along with ${subject}: ${lags.length}/${this.latencyCalibrationTaps}`);
+    }
+    
+    /**
+     * Record a calibration tap: how far it lands from the nearest beat on the audio clock
+     */
+    onLatencyTap() {
+        if (!this.latencyCalibration) return;
+        
+        const lag = this.timerManager.getBeatLag(this.audioManager.getCurrentTime());
+        if (lag === null) return;
+        
+        this.latencyCalibration.lags.push(lag * 1000);
+        if (this.latencyCalibration.lags.length < this.latencyCalibrationTaps) {
+            this.showLatencyCalibrationProgress();
+            return;
+        }
+        
+        this.finishLatencyCalibration();
+    }
+    
+    /**
+     * Apply the median tap lag: for the sound it is the output latency; for a screen or display the
+     * offset moves by how far it was seen after the sound
+     */
+    finishLatencyCalibration() {
+        const { target, displayId, lags } = this.latencyCalibration;
+        const sortedLags = lags.slice().sort((a, b) => a - b);
+        const lagMs = sortedLags[Math.floor(sortedLags.length / 2)];
+        
+        this.cancelLatencyCalibration();
+        
+        if (target === 'audio') {
+            this.setLatency('audio', null, Math.max(0, Math.round(lagMs)));
+            return;
         }
+        
+        const settings = this.latencySettings.settings;
+        const currentOffsetMs = target === 'screen'
+            ? settings.screenOffsetMs
+            : (displayId ? settings.displayOffsets[displayId] : settings.defaultDisplayOffsetMs);
+        this.setLatency(target, displayId, Math.round(currentOffsetMs + this.getAudioLatencyMs() - lagMs));
+    }
+    
+    /**
+     * Stop tap calibration without changing anything
+     */
+    cancelLatencyCalibration() {
+        this.latencyCalibration = null;
+        this.uiManager.setLatencyCalibration(null);
     }
     
     /**
@@ -99,6 +365,9 @@ class BeatCountdownTimer {
             // Initialize audio device with silent sound
             this.audioManager.initializeAudioDevice();
             
+            // The reported output latency is known once the audio context runs
+            this.applyLatency();
+            
             // Remove the event listener after first use
             document.removeEventListener('click', handleFirstClick);
             document.removeEventListener('touchstart', handleFirstClick);
@@ -110,149 +379,136 @@ class BeatCountdownTimer {
     }
     
     /**
-     * Play the opening sound 1
+     * Save the running show (sounds, volume, timeline and cues included) for resuming after a reload
      */
-    playOpeningSound() {
-        // Stop any currently playing opening sounds
-        this.stopAllOpeningSounds();
-        
-        // Create new audio object and store reference
-        this.openingSoundAudio = new Audio('./sounds/open1-halve.mp3');
-        this.openingSoundAudio.volume = 1;
+    saveSession() {
+        if (!this.timerManager.isRunning) return;
         
-        this.openingSoundAudio.play().catch(error => {
-            console.warn('Could not play opening sound 1:', error);
+        this.sessionStore.save({
+            timer: this.timerManager.getSessionState(),
+            timeline: this.showTimeline.getSessionState(),
+            cues: this.cueList.getSessionState(),
+            selectedSound: this.uiManager.getSelectedSound(),
+            selectedEndingSound: this.uiManager.getSelectedEndingSound(),
+            volume: this.uiManager.getVolume()
         });
     }
     
     /**
-     * Play the opening sound 2
+     * Offer "Resume show" if a saved show would still be running now
      */
-    playOpeningSound2() {
-        // Stop any currently playing opening sounds
-        this.stopAllOpeningSounds();
+    offerSessionResume() {
+        const session = this.sessionStore.load();
+        if (!session || !session.timer) return;
         
-        // Create new audio object and store reference
-        this.openingSound2Audio = new Audio('./sounds/open2-halve.mp3');
-        this.openingSound2Audio.volume = 1;
-        
-        this.openingSound2Audio.play().catch(error => {
-            console.warn('Could not play opening sound 2:', error);
-        });
+        const projection = this.timerManager.projectSession(session.timer);
+        if (projection.beatsLeft < 1) {
+            // The show would have ended while the app was down
+            this.sessionStore.clear();
+            return;
+        }
         
-        // Start the special opening sound 2 sequence
-        this.startOpeningSound2Sequence();
+        this.uiManager.showResumeOffer(projection.beatsLeft, Math.ceil(projection.remainingTimeSeconds));
     }
     
     /**
-     * Start the opening sound 2 sequence: 4s delay, then 30 visual beats at 60bpm, then start regular timer
+     * Resume the saved show where it would be now
      */
-    startOpeningSound2Sequence() {
-        // Get the configured total beats from UI
-        this.openingSound2TotalBeats = this.uiManager.getTotalBeatsValue();
-        this.openingSound2RemainingBeats = this.openingSound2TotalBeats;
+    resumeSession() {
+        const session = this.sessionStore.load();
+        this.uiManager.hideResumeOffer();
+        if (!session || !session.timer) return;
         
-        // Show countdown panel immediately with configured beats
-        this.uiManager.showCountdownPanel();
-        this.uiManager.updateDisplay(this.openingSound2RemainingBeats, 60, 60);
+        this.uiManager.setSoundType(session.selectedSound);
+        this.uiManager.setEndingSoundType(session.selectedEndingSound);
+        this.uiManager.setVolume(session.volume);
+        
+        // The timeline carries on from its section (the timer takes its tempo from the session)
+        if (session.timeline) {
+            this.showTimeline.restoreSession(session.timeline);
+        } else {
+            this.showTimeline.reset();
+        }
+        
+        this.previousCountdown = null;
+        this.timerManager.restoreSession(session.timer, this.uiManager.getSelectedSound());
+        
+        // Cues passed while the app was down are marked missed instead of all firing at once
+        if (session.cues) {
+            this.cueList.restoreSession(session.cues, this.timerManager.getShownCountdown(),
+                Math.ceil(this.timerManager.updateRemainingTime()));
+        } else {
+            this.cueList.reset();
+        }
         
-        // After 4 seconds, start the 60bpm visual beat sequence
-        setTimeout(() => {
-            this.startOpeningSound2VisualSequence();
-        }, 7200);
+        // Update UI
+        const timer = this.timerManager;
+        const bpm = Math.round(timer.bpm);
+        this.uiManager.setBpm(bpm);
+        this.uiManager.updateSliderPosition(bpm);
+        this.uiManager.setMeterControls(timer.beatsPerBar ? `${timer.beatsPerBar}/${timer.beatUnit}` : '', timer.subdivision, timer.swing);
+        this.uiManager.setAutoTempoLimits(timer.autoTempo);
+        this.uiManager.updateRampStatus(timer.tempoRamp);
+        this.uiManager.updateAutoTempoStatus(timer.getAutoTempoState());
+        this.uiManager.updateBeatInBar(null, timer.beatsPerBar);
+        this.uiManager.updateVolumeSliderPosition(this.uiManager.getVolume());
+        this.uiManager.showCountdownPanel();
     }
     
     /**
-     * Start the 60bpm visual beat sequence for 30 beats
+     * Drop the saved show
      */
-    startOpeningSound2VisualSequence() {
-        this.openingSound2VisualCount = 32;
-        this.openingSound2Bpm = 60;
-        this.openingSound2IsRunning = true;
-        
-        // Calculate beat interval for 60bpm
-        this.openingSound2BeatInterval = 60 / this.openingSound2Bpm;
-        
-        // Start the visual beat scheduling
-        this.startOpeningSound2VisualScheduling();
+    discardSession() {
+        this.sessionStore.clear();
+        this.uiManager.hideResumeOffer();
     }
     
     /**
-     * Start the visual beat scheduling for opening sound 2
+     * Play an intro; intros with a handover count down visually, then start the countdown
      */
-    startOpeningSound2VisualScheduling() {
-        if (!this.openingSound2IsRunning) return;
+    playIntro(label) {
+        const intro = this.introConfig.getIntro(label);
+        if (!intro) return;
         
-        const currentTime = this.audioManager.getCurrentTime();
-        this.openingSound2NextBeatTime = currentTime;
-        this.openingSound2StartTime = currentTime;
+        // An intro leading into a show takes over from anything that is running
+        if (intro.handoverBpm !== null && this.timerManager.getState().isRunning) {
+            this.resetCountdown(false);
+        }
         
-        // Start the animation frame loop for visual beat scheduling
-        this.openingSound2AnimationFrameId = requestAnimationFrame(() => this.openingSound2VisualSchedulerLoop());
+        this.introManager.play(label, this.uiManager.getTotalBeatsValue());
     }
     
     /**
-     * Main scheduling loop for opening sound 2 visual beats
+     * Show the countdown panel while the intro's visual beats run
      */
-    openingSound2VisualSchedulerLoop() {
-        if (!this.openingSound2IsRunning) return;
+    onIntroStarted(intro, remainingBeats) {
+        // Every cue is pending again for the new show; an intro hands over to a plain countdown, not a timeline
+        this.cueList.reset();
+        this.showTimeline.reset();
         
-        const currentTime = this.audioManager.getCurrentTime();
-        
-        // Check if it's time for the next visual beat
-        if (currentTime >= this.openingSound2NextBeatTime && this.openingSound2VisualCount > 0) {
-            // NO SOUND - this is visual only
-            // Just update the remaining beats count
-            this.openingSound2RemainingBeats--;
-            
-            // Update display with remaining beats
-            this.uiManager.updateDisplay(this.openingSound2RemainingBeats, this.openingSound2Bpm, this.openingSound2Bpm);
-            this.uiManager.triggerBeatAnimation();
-            
-            // Broadcast to display devices
-            this.broadcastBeatData();
-            
-            // Schedule next visual beat
-            this.openingSound2NextBeatTime += this.openingSound2BeatInterval;
-            
-            // Decrement visual count
-            this.openingSound2VisualCount--;
-            
-            // Check if we're done with the 30 visual beats
-            if (this.openingSound2VisualCount <= 0) {
-                this.openingSound2IsRunning = false;
-                this.startRegularTimerAfterVisualSequence();
-                return;
-            }
-        }
-        
-        // Continue the loop
-        if (this.openingSound2IsRunning) {
-            this.openingSound2AnimationFrameId = requestAnimationFrame(() => this.openingSound2VisualSchedulerLoop());
-        }
+        this.uiManager.showCountdownPanel();
+        this.uiManager.updateDisplay(remainingBeats, intro.visualBpm, intro.visualBpm);
+        this.broadcastBeatData();
     }
     
     /**
-     * Start the regular timer after the visual sequence completes
+     * Start the countdown on the beat after the intro's last visual beat
      */
-    startRegularTimerAfterVisualSequence() {
-        // Clean up the animation frame
-        if (this.openingSound2AnimationFrameId) {
-            cancelAnimationFrame(this.openingSound2AnimationFrameId);
-            this.openingSound2AnimationFrameId = null;
-        }
-        
-        // Get the remaining beats after 30 visual beats
-        const remainingBeats = this.openingSound2RemainingBeats;
-        const durationValue = this.uiManager.getDurationValue();
+    onIntroHandover(intro, remainingBeats, startTime) {
+        const timing = this.getShowTiming();
         const selectedSound = this.uiManager.getSelectedSound();
         
-        // Start the regular timer with remaining beats at 110 BPM
-        this.timerManager.startCountdown(durationValue, 110, selectedSound, remainingBeats);
+        if (!timing) {
+            this.resetCountdown();
+            return;
+        }
+        
+        this.timerManager.startCountdown(timing.durationMinutes, intro.handoverBpm, selectedSound, Math.max(1, remainingBeats),
+            Object.assign(this.getShowOptions(timing), { startTime: startTime, countInBeats: 0 }));
         
         // Update UI to show the regular timer state
-        this.uiManager.setBpm(110);
-        this.uiManager.updateSliderPosition(110);
+        this.uiManager.setBpm(intro.handoverBpm);
+        this.uiManager.updateSliderPosition(intro.handoverBpm);
         this.uiManager.updateVolumeSliderPosition(this.uiManager.getVolume());
         
         // Broadcast the new state
@@ -260,28 +516,14 @@ class BeatCountdownTimer {
     }
     
     /**
-     * Stop all opening sounds
+     * Stop the intro audio; a countdown that has not taken over yet returns to setup
      */
-    stopAllOpeningSounds() {
-        if (this.openingSoundAudio) {
-            this.openingSoundAudio.pause();
-            this.openingSoundAudio.currentTime = 0;
-            this.openingSoundAudio = null;
-        }
-        
-        if (this.openingSound2Audio) {
-            this.openingSound2Audio.pause();
-            this.openingSound2Audio.currentTime = 0;
-            this.openingSound2Audio = null;
-        }
+    stopIntro() {
+        const wasCounting = this.introManager.isActive();
+        this.introManager.stop();
         
-        // Stop opening sound 2 sequence if running
-        if (this.openingSound2IsRunning) {
-            this.openingSound2IsRunning = false;
-            if (this.openingSound2AnimationFrameId) {
-                cancelAnimationFrame(this.openingSound2AnimationFrameId);
-                this.openingSound2AnimationFrameId = null;
-            }
+        if (wasCounting) {
+            this.resetCountdown();
         }
     }
     
@@ -291,8 +533,31 @@ class BeatCountdownTimer {
     getUICallbacks() {
         return {
             startCountdown: () => this.startCountdown(),
+            renderPracticeTrack: () => this.renderPracticeTrack(),
+            playIntro: (label) => this.playIntro(label),
+            resumeSession: () => this.resumeSession(),
+            discardSession: () => this.discardSession(),
+            stopIntro: () => this.stopIntro(),
             toggleStopResume: () => this.toggleStopResume(),
             disableTimer: () => this.disableTimer(),
+            toggleHold: () => this.toggleHold(),
+            toggleMute: () => this.toggleMute(),
+            importSound: (sound) => this.importSound(sound),
+            removeCustomSound: (label) => this.removeCustomSound(label),
+            auditionSynth: (synth) => this.auditionSynth(synth),
+            saveSynthSound: (sound) => this.saveSynthSound(sound),
+            previousSection: () => this.showTimeline.previousSection(),
+            nextSection: () => this.showTimeline.nextSection(),
+            adjustCountdown: (delta) => this.timerManager.adjustCountdown(delta),
+            setCountdown: (beats) => this.timerManager.setCountdown(beats),
+            adjustRemainingTime: (deltaSeconds) => this.adjustRemainingTime(deltaSeconds),
+            setRemainingTime: (seconds) => this.setRemainingTime(seconds),
+            addCue: (cue) => this.addCue(cue),
+            updateCue: (cueId, changes) => this.updateCue(cueId, changes),
+            removeCue: (cueId) => this.cueList.removeCue(cueId),
+            toggleSkipCue: (cueId) => this.cueList.toggleSkipCue(cueId),
+            toggleCueArm: () => this.cueList.setArmed(!this.cueList.isArmed),
+            fireNextCue: () => this.cueList.fireNext(),
             resetCountdown: () => this.resetCountdown(),
             multiplyBpm: () => this.multiplyBpm(),
             divideBpm: () => this.divideBpm(),
@@ -300,11 +565,26 @@ class BeatCountdownTimer {
             set60Bpm: () => this.set60Bpm(),
             set110Bpm: () => this.set110Bpm(),
             applyBpmChange: (bpm) => this.applyBpmChange(bpm),
+            rampBpm: (targetBpm) => this.rampBpm(targetBpm),
+            toggleAutoTempo: () => this.toggleAutoTempo(),
+            setAutoTempoLimits: (limits) => this.setAutoTempoLimits(limits),
+            setMeter: (meter) => this.setMeter(meter),
+            onShowBarBeatChanged: () => this.onShowBarBeatChanged(),
+            setSubdivision: (subdivision) => this.timerManager.setSubdivision(subdivision),
+            setSwing: (swingPercent) => this.timerManager.setSwing(swingPercent),
             onSoundTypeChanged: (soundType) => this.onSoundTypeChanged(soundType),
             onEndingSoundTypeChanged: (soundType) => this.onEndingSoundTypeChanged(soundType),
             onOneshotSoundPlay: (soundType) => this.onOneshotSoundPlay(soundType),
             onOneshotSoundStop: () => this.onOneshotSoundStop(),
-            onComboSoundPlay: (soundType, bpm) => this.onComboSoundPlay(soundType, bpm),
+            setDucking: (ducking) => this.audioManager.setDucking(ducking),
+            toggleAmbient: (soundType) => this.toggleAmbient(soundType),
+            setAmbientVolume: (volume) => this.audioManager.setAmbientVolume(volume),
+            setLatency: (target, displayId, valueMs) => this.setLatency(target, displayId, valueMs),
+            removeLatencyDisplay: (displayId) => this.removeLatencyDisplay(displayId),
+            startLatencyCalibration: (target, displayId) => this.startLatencyCalibration(target, displayId),
+            onLatencyTap: () => this.onLatencyTap(),
+            cancelLatencyCalibration: () => this.cancelLatencyCalibration(),
+            onComboSoundPlay: (soundType, bpm, ramp) => this.onComboSoundPlay(soundType, bpm, ramp),
             onVolumeChanged: (volume) => this.onVolumeChanged(volume)
         };
     }
@@ -321,23 +601,84 @@ class BeatCountdownTimer {
             onTimerDisabled: () => this.onTimerDisabled(),
             onTimerDisabledIndefinitely: () => this.onTimerDisabledIndefinitely(),
             onTimerEnabled: () => this.onTimerEnabled(),
-            updateDisplay: (countdown, bpm, requiredBpm) => {
+            onTimerHeld: () => this.onTimerHeld(),
+            onTempoChanged: (bpm, tempoRamp) => this.onTempoChanged(bpm, tempoRamp),
+            onBeatScheduling: (beatNumber, beatTime) => this.showTimeline.onBeatScheduling(beatNumber, beatTime),
+            updateDisplay: (countdown, bpm, requiredBpm, isBeat) => {
                 this.uiManager.updateDisplay(countdown, bpm, requiredBpm);
-                this.broadcastBeatDataIfCounterChanged(countdown);
+                // Beats reach the displays through sendDisplayBeat, each at its own offset
+                if (isBeat) {
+                    this.previousCountdown = countdown;
+                } else {
+                    this.broadcastBeatDataIfCounterChanged(countdown);
+                }
+                // Cues follow the countdown as heard: on edits and tempo changes that is the last beat shown,
+                // as the timer's own countdown already counts the beats scheduled ahead
+                this.cueList.checkCountdown(isBeat ? countdown : this.timerManager.getShownCountdown());
+                // Saved on beats and edits; the clock needs no saving of its own (the session keeps its deadline)
+                this.saveSession();
+            },
+            updateBeatInBar: (beatInBar, beatsPerBar) => {
+                this.currentBeatInBar = beatInBar;
+                this.uiManager.updateBeatInBar(beatInBar, beatsPerBar);
+            },
+            updateCountIn: (count) => {
+                this.uiManager.updateCountIn(count);
+                this.sendCountIn(count);
             },
             updateTimerDisplay: (remainingTimeSeconds) => {
                 this.uiManager.updateTimerDisplay(remainingTimeSeconds);
+                this.cueList.checkRemainingTime(remainingTimeSeconds);
             },
             triggerBeatAnimation: () => this.uiManager.triggerBeatAnimation(),
             showCompletion: () => {
+                this.sessionStore.clear();
                 this.uiManager.showCompletion();
                 this.sendExplosionSignal();
             },
-            playEndingSound: () => this.playEndingSound(),
+            sendDisplayBeat: (beat, displayId) => this.sendDisplayBeat(beat, displayId),
             resetCountdown: () => this.resetCountdown()
         };
     }
     
+    /**
+     * Get show timeline callbacks
+     */
+    getTimelineCallbacks() {
+        return {
+            onSectionStart: (section, index) => this.onSectionStart(section, index),
+            onSectionEnd: (section, index, beatTime, completed) => this.onSectionEnd(section, beatTime, completed)
+        };
+    }
+    
+    /**
+     * Get cue list callbacks
+     */
+    getCueCallbacks() {
+        return {
+            onCueFired: (cue) => this.onCueFired(cue),
+            onCuesChanged: (cues) => {
+                this.uiManager.renderCueList(cues, this.cueList.getNextCue(), this.cueList.isArmed, (trigger) => this.cueList.formatTrigger(trigger));
+                this.saveSession();
+            }
+        };
+    }
+    
+    /**
+     * Get intro manager callbacks
+     */
+    getIntroCallbacks() {
+        return {
+            onIntroStarted: (intro, remainingBeats) => this.onIntroStarted(intro, remainingBeats),
+            onIntroBeat: (remainingBeats, bpm) => {
+                this.uiManager.updateDisplay(remainingBeats, bpm, bpm);
+                this.uiManager.triggerBeatAnimation();
+                this.broadcastBeatData();
+            },
+            onIntroHandover: (intro, remainingBeats, startTime) => this.onIntroHandover(intro, remainingBeats, startTime)
+        };
+    }
+    
     /**
      * Get MIDI manager callbacks
      */
@@ -347,8 +688,12 @@ class BeatCountdownTimer {
             setEndingSoundType: (soundType) => this.uiManager.setEndingSoundType(soundType),
             increaseBPM: () => this.increaseBPM(),
             decreaseBPM: () => this.decreaseBPM(),
+            rampBpm: (targetBpm, ramp) => this.rampBpm(targetBpm, ramp),
             increaseVolume: () => this.increaseVolume(),
             decreaseVolume: () => this.decreaseVolume(),
+            toggleAmbient: (soundType) => this.toggleAmbient(soundType),
+            increaseAmbientVolume: () => this.uiManager.setAmbientVolume(Math.min(100, this.uiManager.getAmbientVolume() + 1)),
+            decreaseAmbientVolume: () => this.uiManager.setAmbientVolume(Math.max(0, this.uiManager.getAmbientVolume() - 1)),
             disableTimer: () => this.disableTimer(),
             toggleStopResume: () => this.toggleStopResume(),
             updateMIDIStatus: (isConnected, text) => this.uiManager.updateMIDIStatus(isConnected, text)
@@ -359,11 +704,19 @@ class BeatCountdownTimer {
      * Start the countdown timer
      */
     startCountdown() {
-        const durationValue = this.uiManager.getDurationValue();
+        const timelineValue = this.uiManager.getTimelineValue();
+        
+        if (timelineValue) {
+            this.startTimelineCountdown(timelineValue);
+            return;
+        }
+        
+        this.showTimeline.clear();
+        
+        const timing = this.getShowTiming();
         const totalBeatsValue = this.uiManager.getTotalBeatsValue();
         
-        if (durationValue < 1) {
-            alert('Please enter a valid duration (1-999 minutes)');
+        if (!timing) {
             return;
         }
         
@@ -377,8 +730,11 @@ class BeatCountdownTimer {
         // Always start at 110 BPM regardless of input field value
         const startingBpm = 110;
         
+        // Every cue is pending again for the new show
+        this.cueList.reset();
+        
         // Start the timer
-        this.timerManager.startCountdown(durationValue, startingBpm, selectedSound, totalBeatsValue);
+        this.timerManager.startCountdown(timing.durationMinutes, startingBpm, selectedSound, totalBeatsValue, this.getShowOptions(timing));
         
         // Reset counter tracking for new countdown
         this.previousCountdown = null;
@@ -390,6 +746,224 @@ class BeatCountdownTimer {
         this.uiManager.showCountdownPanel();
     }
     
+    /**
+     * Render the show set up on the setup panel to a WAV file and download it
+     */
+    async renderPracticeTrack() {
+        const timelineValue = this.uiManager.getTimelineValue();
+        const timing = timelineValue ? { durationMinutes: null } : this.getShowTiming();
+        
+        if (!timing) {
+            return;
+        }
+        
+        const show = {
+            totalBeats: this.uiManager.getTotalBeatsValue(),
+            durationSeconds: timing.durationMinutes * 60,
+            timeline: timelineValue || null,
+            sound: this.uiManager.getSelectedSound(),
+            endingSound: this.uiManager.getSelectedEndingSound(),
+            beatsPerBar: parseInt(this.uiManager.getMeterValue()) || 0,
+            subdivision: this.uiManager.getSubdivisionValue(),
+            swing: this.uiManager.getSwingValue()
+        };
+        
+        this.uiManager.setRenderingTrack(true);
+        try {
+            // Reuse the samples the app has already decoded
+            const audioBuffer = await this.showRenderer.render(show, { sourceAudioManager: this.audioManager });
+            const wav = new WavEncoder().encode(audioBuffer);
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+            link.download = 'commotie-beat-practice.wav';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            alert(`Could not render practice track: ${error.message}`);
+        } finally {
+            this.uiManager.setRenderingTrack(false);
+        }
+    }
+    
+    /**
+     * Start a show from a timeline: the countdown covers all sections
+     */
+    startTimelineCountdown(timelineValue) {
+        try {
+            this.showTimeline.load(timelineValue);
+        } catch (error) {
+            alert(`Invalid show timeline: ${error.message}`);
+            return;
+        }
+        
+        // The timeline sets the show's length, unless the show has to end at a clock time
+        const timing = this.uiManager.getTimingMode() === 'endTime'
+            ? this.getShowTiming()
+            : { durationMinutes: this.showTimeline.getTotalDurationSeconds() / 60, endTime: null };
+        
+        if (!timing) {
+            return;
+        }
+        
+        const firstSection = this.showTimeline.sections[0];
+        const startingBpm = firstSection.bpm;
+        
+        if (firstSection.sound) {
+            this.uiManager.setSoundType(firstSection.sound);
+        }
+        
+        // The first section is applied as the first beat is scheduled
+        this.showTimeline.start();
+        this.cueList.reset();
+        this.timerManager.startCountdown(timing.durationMinutes, startingBpm, this.uiManager.getSelectedSound(), this.showTimeline.getTotalBeats(), this.getShowOptions(timing));
+        
+        // Reset counter tracking for new countdown
+        this.previousCountdown = null;
+        
+        // Update UI
+        this.uiManager.setBpm(startingBpm);
+        this.uiManager.updateSliderPosition(startingBpm);
+        this.uiManager.updateVolumeSliderPosition(this.uiManager.getVolume());
+        this.uiManager.showCountdownPanel();
+    }
+    
+    /**
+     * Apply a timeline section as it starts (tempo, sound, final ending)
+     */
+    onSectionStart(section, index) {
+        const sectionCount = this.showTimeline.sections.length;
+        
+        if (section.sound) {
+            this.uiManager.setSoundType(section.sound);
+        }
+        
+        if (section.bpm !== null) {
+            this.timerManager.updateBpm(section.bpm, this.uiManager.getSelectedSound());
+        }
+        if (section.ramp) {
+            this.timerManager.rampBpm(section.ramp.to, section.ramp);
+        }
+        
+        // The last section's ending is the show's ending sound
+        if (index === sectionCount - 1 && section.ending) {
+            this.uiManager.setEndingSoundType(section.ending);
+        }
+        
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
+        this.uiManager.updateSection(section, index, sectionCount);
+    }
+    
+    /**
+     * Play a section's ending when it runs to its end (not when the operator skips it)
+     */
+    onSectionEnd(section, beatTime, completed) {
+        if (completed && section.ending) {
+            this.audioManager.playEndingSound(section.ending, beatTime);
+        }
+    }
+    
+    /**
+     * Extend or shorten the remaining time mid-show
+     */
+    adjustRemainingTime(deltaSeconds) {
+        this.timerManager.adjustRemainingTime(deltaSeconds);
+        this.broadcastBeatData();
+    }
+    
+    /**
+     * Set the remaining time mid-show
+     */
+    setRemainingTime(seconds) {
+        this.timerManager.setRemainingTime(seconds);
+        this.broadcastBeatData();
+    }
+    
+    /**
+     * Add a cue from the cue list form
+     */
+    addCue(cue) {
+        try {
+            this.cueList.addCue(cue);
+            return true;
+        } catch (error) {
+            alert(`Invalid cue: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Edit a cue in the cue list (re-rendering restores the old value if the edit is invalid)
+     */
+    updateCue(cueId, changes) {
+        try {
+            this.cueList.updateCue(cueId, changes);
+        } catch (error) {
+            alert(`Invalid cue: ${error.message}`);
+            this.cueList.notifyChanged();
+        }
+    }
+    
+    /**
+     * Run a cue's action
+     */
+    onCueFired(cue) {
+        switch (cue.action) {
+            case 'oneshot':
+                this.audioManager.playOneshotSound(cue.value);
+                break;
+            case 'sound':
+                this.uiManager.setSoundType(cue.value);
+                break;
+            case 'ending':
+                this.uiManager.setEndingSoundType(cue.value);
+                break;
+            case 'bpm':
+                this.applyBpmChange(cue.value);
+                // The tempo controls follow, so the next nudge starts from the cue's tempo
+                this.uiManager.setBpm(Math.round(this.timerManager.getTargetBpm()));
+                this.uiManager.updateSliderPosition(this.timerManager.getTargetBpm());
+                break;
+            case 'message':
+                this.sendDisplayMessage(cue.value);
+                break;
+        }
+        
+        console.log(`Cue fired: ${cue.action} ${cue.value}`);
+    }
+    
+    /**
+     * Get the show's length from the setup panel ({ durationMinutes, endTime }), or null if invalid
+     */
+    getShowTiming() {
+        if (this.uiManager.getTimingMode() === 'endTime') {
+            const endTime = this.uiManager.getEndTimeValue();
+            if (endTime === null) {
+                alert('Please enter a valid end time');
+                return null;
+            }
+            return { durationMinutes: (endTime - Date.now()) / 60000, endTime: endTime };
+        }
+        
+        const durationMinutes = this.uiManager.getDurationValue();
+        if (!(durationMinutes > 0) || durationMinutes > 999) {
+            alert('Please enter a valid duration (up to 999 minutes, e.g. 10, 2:30 or 1:15:00)');
+            return null;
+        }
+        return { durationMinutes: durationMinutes, endTime: null };
+    }
+    
+    /**
+     * Get per-show timer options from the setup panel
+     */
+    getShowOptions(timing = {}) {
+        return {
+            freezeClockWhenDisabled: this.uiManager.getFreezeClockValue(),
+            endTime: timing.endTime || null,
+            countInBeats: this.uiManager.getCountInValue()
+        };
+    }
+    
     /**
      * Stop the timer and disable it indefinitely (like disable 5s but permanent)
      * Or resume if currently disabled
@@ -411,12 +985,37 @@ class BeatCountdownTimer {
     }
     
     /**
-     * Disable timer for 5 seconds
+     * Disable timer for 5 seconds; during an intro's visual beats it cancels the intro instead
      */
     disableTimer() {
+        if (this.introManager.isActive()) {
+            this.stopIntro();
+            return;
+        }
         this.timerManager.disableTimer();
     }
     
+    /**
+     * Hold the show (beats and clock frozen) or release the hold; during an intro's visual beats it cancels the intro
+     */
+    toggleHold() {
+        if (this.introManager.isActive()) {
+            this.stopIntro();
+        } else if (this.timerManager.isHeld) {
+            this.timerManager.releaseHold();
+        } else {
+            this.timerManager.holdTimer();
+        }
+    }
+    
+    /**
+     * Panic mute: silence everything at once (including oneshots and endings already playing), or unmute
+     */
+    toggleMute() {
+        const isMuted = this.audioManager.toggleMute();
+        this.uiManager.updateMuteButton(isMuted);
+    }
+    
     /**
      * Reset the countdown
      */
@@ -426,7 +1025,10 @@ class BeatCountdownTimer {
         // Always reset to 110 BPM regardless of input field value
         const startingBpm = 110;
         
+        this.introManager.stop();
         this.timerManager.resetCountdown(startingBpm, totalBeatsValue);
+        this.sessionStore.clear();
+        this.showTimeline.reset();
         this.uiManager.setBpm(startingBpm);
         this.uiManager.updateSliderPosition(startingBpm);
         this.uiManager.reset();
@@ -446,8 +1048,8 @@ class BeatCountdownTimer {
      */
     multiplyBpm() {
         const selectedSound = this.uiManager.getSelectedSound();
-        const newBpm = this.timerManager.multiplyBpm(selectedSound);
-        this.uiManager.setBpm(newBpm);
+        this.timerManager.multiplyBpm(selectedSound, this.uiManager.getBpmChangeRamp());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
     }
     
     /**
@@ -455,8 +1057,8 @@ class BeatCountdownTimer {
      */
     divideBpm() {
         const selectedSound = this.uiManager.getSelectedSound();
-        const newBpm = this.timerManager.divideBpm(selectedSound);
-        this.uiManager.setBpm(newBpm);
+        this.timerManager.divideBpm(selectedSound, this.uiManager.getBpmChangeRamp());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
     }
     
     /**
@@ -464,8 +1066,8 @@ class BeatCountdownTimer {
      */
     setToRequiredBpm() {
         const selectedSound = this.uiManager.getSelectedSound();
-        const newBpm = this.timerManager.setToRequiredBpm(selectedSound);
-        this.uiManager.setBpm(newBpm);
+        this.timerManager.setToRequiredBpm(selectedSound, this.uiManager.getBpmChangeRamp());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
     }
     
     /**
@@ -473,8 +1075,8 @@ class BeatCountdownTimer {
      */
     set60Bpm() {
         const selectedSound = this.uiManager.getSelectedSound();
-        this.timerManager.updateBpm(60, selectedSound);
-        this.uiManager.setBpm(60);
+        this.timerManager.updateBpm(60, selectedSound, this.uiManager.getBpmChangeRamp());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
     }
     
     /**
@@ -482,8 +1084,8 @@ class BeatCountdownTimer {
      */
     set110Bpm() {
         const selectedSound = this.uiManager.getSelectedSound();
-        this.timerManager.updateBpm(110, selectedSound);
-        this.uiManager.setBpm(110);
+        this.timerManager.updateBpm(110, selectedSound, this.uiManager.getBpmChangeRamp());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
     }
     
     /**
@@ -491,7 +1093,65 @@ class BeatCountdownTimer {
      */
     applyBpmChange(bpm) {
         const selectedSound = this.uiManager.getSelectedSound();
-        this.timerManager.updateBpm(bpm, selectedSound);
+        this.timerManager.updateBpm(bpm, selectedSound, this.uiManager.getBpmChangeRamp());
+    }
+    
+    /**
+     * Ramp BPM to a target (from the ramp button, MIDI or combos)
+     * Uses the ramp length and curve from the UI when no ramp settings are given
+     */
+    rampBpm(targetBpm, ramp = null) {
+        this.timerManager.rampBpm(targetBpm, ramp || this.uiManager.getRampSettings());
+        this.uiManager.setBpm(Math.round(this.timerManager.bpm));
+    }
+    
+    /**
+     * Toggle auto-tempo (keep steering toward the BPM that finishes on time)
+     */
+    toggleAutoTempo() {
+        this.setAutoTempoLimits(this.uiManager.getAutoTempoLimits());
+        this.timerManager.setAutoTempo(!this.timerManager.autoTempo.enabled);
+    }
+    
+    /**
+     * Apply auto-tempo drift limits
+     */
+    setAutoTempoLimits(limits) {
+        this.timerManager.setAutoTempoLimits(limits.maxDeviationPercent, limits.maxChangePerBeat);
+    }
+    
+    /**
+     * Set the meter from a "beats/unit" string (e.g. "7/8"); an empty string turns it off
+     */
+    setMeter(meter) {
+        const [beatsPerBar, beatUnit] = (meter || '').split('/').map(value => parseInt(value));
+        
+        if (beatsPerBar > 0) {
+            this.timerManager.setMeter(beatsPerBar, beatUnit || 4);
+        } else {
+            this.timerManager.setMeter(0);
+        }
+        
+        this.currentBeatInBar = null;
+        this.uiManager.updateBeatInBar(null, this.timerManager.beatsPerBar);
+    }
+    
+    /**
+     * Handle the beat-in-bar display being switched on or off
+     */
+    onShowBarBeatChanged() {
+        this.uiManager.updateBeatInBar(this.currentBeatInBar, this.timerManager.beatsPerBar);
+        this.broadcastBeatData();
+    }
+    
+    /**
+     * Handle tempo changes made by the timer itself (ramps and auto-tempo)
+     */
+    onTempoChanged(bpm, tempoRamp) {
+        this.uiManager.setBpm(Math.round(bpm));
+        this.uiManager.updateRampStatus(tempoRamp);
+        this.uiManager.updateAutoTempoStatus(this.timerManager.getAutoTempoState());
+        this.saveSession();
     }
     
     /**
@@ -512,7 +1172,7 @@ class BeatCountdownTimer {
      * Handle ending sound type change
      */
     onEndingSoundTypeChanged(soundType) {
-        // No additional action needed for ending sound changes
+        this.saveSession();
     }
     
     /**
@@ -531,12 +1191,33 @@ class BeatCountdownTimer {
         this.audioManager.stopAllOneshotSounds();
     }
     
+    /**
+     * Start an ambient bed, or fade it out when it is the one playing
+     */
+    toggleAmbient(soundType) {
+        if (!this.soundConfig.validateSoundType(soundType, 'ambient')) {
+            console.warn(`Invalid ambient sound type: ${soundType}`);
+            return;
+        }
+        
+        if (this.audioManager.getAmbientSound() === soundType) {
+            this.audioManager.stopAmbient();
+        } else {
+            this.audioManager.startAmbient(soundType);
+        }
+        this.uiManager.setAmbientPlaying(this.audioManager.getAmbientSound());
+    }
+    
     /**
      * Handle combo sound play (sound + BPM combination)
      */
-    onComboSoundPlay(soundType, bpm) {
-        // Apply the BPM change to the timer manager
-        this.applyBpmChange(bpm);
+    onComboSoundPlay(soundType, bpm, ramp) {
+        // Apply the BPM change to the timer manager, ramping if the combo asks for it
+        if (ramp) {
+            this.rampBpm(bpm, ramp);
+        } else {
+            this.applyBpmChange(bpm);
+        }
         
         // The UI manager already handles setting the sound type and BPM
         // This callback is mainly for any additional logic needed
@@ -549,14 +1230,18 @@ class BeatCountdownTimer {
     onVolumeChanged(volume) {
         // Update audio manager volume
         this.audioManager.setVolume(volume);
+        this.saveSession();
     }
     
     /**
      * Handle countdown started
      */
     onCountdownStarted() {
+        this.applyLatency();
         this.uiManager.updateStopButton(true);
+        this.uiManager.hideResumeOffer();
         this.broadcastBeatData();
+        this.saveSession();
     }
     
     /**
@@ -564,6 +1249,8 @@ class BeatCountdownTimer {
      */
     onCountdownStopped() {
         this.uiManager.updateStopButton(false);
+        this.uiManager.updateHoldButton(false);
+        this.cancelLatencyCalibration();
         this.broadcastBeatData();
     }
     
@@ -580,6 +1267,9 @@ class BeatCountdownTimer {
      */
     onCountdownReset() {
         this.uiManager.updateStopButton(true);
+        this.uiManager.updateHoldButton(false);
+        this.currentBeatInBar = null;
+        this.uiManager.updateBeatInBar(null, this.timerManager.beatsPerBar);
         this.broadcastBeatData();
     }
     
@@ -597,23 +1287,28 @@ class BeatCountdownTimer {
     onTimerDisabledIndefinitely() {
         this.uiManager.updateStopButton(false); // Show "Resume" button
         this.broadcastBeatData();
+        this.saveSession();
     }
     
     /**
-     * Handle timer enabled
+     * Handle timer held
      */
-    onTimerEnabled() {
-        this.uiManager.updateDisableButton(false);
-        this.uiManager.updateStopButton(true); // Show "Stop" button when resumed
+    onTimerHeld() {
+        this.uiManager.updateHoldButton(true);
+        this.uiManager.updateStopButton(false); // Stop/Resume also releases the hold
         this.broadcastBeatData();
+        this.saveSession();
     }
     
     /**
-     * Play ending sound
+     * Handle timer enabled
      */
-    playEndingSound() {
-        const selectedEndingSound = this.uiManager.getSelectedEndingSound();
-        this.audioManager.playEndingSound(selectedEndingSound);
+    onTimerEnabled() {
+        this.uiManager.updateDisableButton(false);
+        this.uiManager.updateHoldButton(false);
+        this.uiManager.updateStopButton(true); // Show "Stop" button when resumed
+        this.broadcastBeatData();
+        this.saveSession();
     }
     
     /**
@@ -736,6 +1431,39 @@ class BeatCountdownTimer {
         }
     }
     
+    /**
+     * Send the count-in ("4-3-2-1") to display devices (null clears it)
+     */
+    sendCountIn(count) {
+        // Clearing is always sent, so displays never keep a stale count
+        if (count !== null && !this.uiManager.getShowCountInValue()) return;
+        
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            const data = {
+                type: 'countin',
+                count: count,
+                timestamp: Date.now()
+            };
+            
+            this.ws.send(JSON.stringify(data));
+        }
+    }
+    
+    /**
+     * Send a message to display devices (an empty message clears it)
+     */
+    sendDisplayMessage(text) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            const data = {
+                type: 'message',
+                text: text,
+                timestamp: Date.now()
+            };
+            
+            this.ws.send(JSON.stringify(data));
+        }
+    }
+    
     /**
      * Send explosion signal to display devices
      */
@@ -755,26 +1483,65 @@ class BeatCountdownTimer {
      */
     broadcastBeatData() {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            let countdown = null;
-            
-            // Check if opening sound 2 sequence is running
-            if (this.openingSound2IsRunning) {
-                countdown = this.openingSound2RemainingBeats;
-            } else {
-                // Use regular timer state
-                const state = this.timerManager.getState();
-                countdown = state.countdown;
+            this.ws.send(JSON.stringify(this.getBeatData()));
+        }
+    }
+    
+    /**
+     * Send a beat to one display (displayId) or to the displays without their own offset (displayId null)
+     */
+    sendDisplayBeat(beat, displayId) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            const data = this.getBeatData();
+            data.countdown = beat.countdown;
+            if (data.beatsPerBar) {
+                data.beatInBar = beat.beatInBar;
+            }
+            data.displayId = displayId;
+            if (displayId === null) {
+                data.calibratedDisplays = Object.keys(this.latencySettings.settings.displayOffsets);
             }
-            
-            const data = {
-                type: 'countdown',
-                countdown: countdown,
-                timestamp: Date.now()
-            };
             
             this.ws.send(JSON.stringify(data));
         }
     }
+    
+    /**
+     * Get the beat data message for display devices from the current state
+     */
+    getBeatData() {
+        let countdown = null;
+        let remainingTimeSeconds = null;
+        let held = false;
+        let beatInBar = null;
+        let beatsPerBar = null;
+        
+        // An intro counts down visually before the countdown takes over
+        if (this.introManager.isActive()) {
+            countdown = this.introManager.remainingBeats;
+        } else {
+            // Use regular timer state (remaining time comes from the same deadline as the controller display)
+            const state = this.timerManager.getState();
+            countdown = state.countdown;
+            remainingTimeSeconds = Math.ceil(state.remainingTimeSeconds);
+            held = state.isHeld;
+            
+            if (state.beatsPerBar && this.uiManager.getShowBarBeatValue()) {
+                beatInBar = this.currentBeatInBar;
+                beatsPerBar = state.beatsPerBar;
+            }
+        }
+        
+        return {
+            type: 'countdown',
+            countdown: countdown,
+            remainingTimeSeconds: remainingTimeSeconds,
+            held: held,
+            beatInBar: beatInBar,
+            beatsPerBar: beatsPerBar,
+            timestamp: Date.now()
+        };
+    }
 }
 
 // Initialize the app when the page loads
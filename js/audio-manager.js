@@ -3,12 +3,33 @@
  * Handles all audio-related functionality including Web Audio API, sound generation, and buffer management
  */
 class AudioManager {
-    constructor(soundConfig) {
+    constructor(soundConfig, audioContext = null) {
         this.soundConfig = soundConfig;
-        this.audioContext = null;
+        this.audioContext = audioContext; // Given for offline rendering, otherwise created in initializeAudio
         this.audioBuffers = {};
+        this.accentBuffers = {}; // Optional downbeat samples (soundConfig.accentUrl)
         this.soundAlternationCounters = {};
+        this.failedSounds = {}; // Why each sound whose audio could not be loaded failed, by label
+        this.bufferLoads = {}; // Loads in progress by URL, so sounds sharing a file load it once
+        this.noiseBuffer = null; // White noise for synth noise layers (created on first use)
         this.volume = 50; // Default volume 50%
+        this.isMuted = false; // Panic mute (volume is kept for unmuting)
+        
+        // Master bus: every source goes through masterGain (volume, mute) and a limiter
+        this.masterGain = null;
+        this.limiter = null;
+        
+        // Beat bus: beats and clicks, ducked while a oneshot plays (amount in dB, attack and release in seconds)
+        this.beatBus = null;
+        this.ducking = Object.assign({}, soundConfig.ducking);
+        
+        // Ambient bus: the looping bed under the beat, with its own volume and never ducked
+        this.ambientBus = null;
+        this.ambientVolume = soundConfig.ambient.volume;
+        this.ambient = null; // The bed playing now: { soundKey, source, output }
+        
+        // Stages of the ending, scheduled beat by beat as the show approaches its final beat
+        this.endingSequence = new EndingSequence(this);
         this.audioInitialized = false; // Track if audio has been initialized
         this.activeOneshotSources = []; // Track active oneshot audio sources for stopping
         
@@ -20,7 +41,10 @@ class AudioManager {
      */
     initializeAudio() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            this.initializeMasterBus();
             console.log('Audio context initialized successfully');
         } catch (e) {
             console.warn('Web Audio API not supported:', e);
@@ -28,23 +52,74 @@ class AudioManager {
     }
     
     /**
-     * Load all audio files from the sound configuration
+     * Create the master bus: masterGain -> limiter -> speakers
+     * Volume and mute act on the master gain, so they also reach sounds that are already playing
      */
-    async loadAudioFiles() {
-        if (!this.audioContext) return;
+    initializeMasterBus() {
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = this.volume / 100;
+        
+        // Hard-knee, high-ratio compressor as a limiter so stacked sounds don't clip
+        this.limiter = this.audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = -3;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.1;
+        
+        this.masterGain.connect(this.limiter);
+        this.limiter.connect(this.audioContext.destination);
+        
+        this.beatBus = this.audioContext.createGain();
+        this.beatBus.connect(this.masterGain);
+        
+        this.ambientBus = this.audioContext.createGain();
+        this.ambientBus.gain.value = this.ambientVolume / 100;
+        this.ambientBus.connect(this.masterGain);
+    }
+    
+    /**
+     * Load all audio files from the sound configuration, in parallel
+     * onProgress(done, total) is called as each sound finishes loading
+     * Resolves with the sounds that could not be loaded: [{ label, fallback, error }]
+     */
+    async loadAudioFiles(onProgress = null) {
+        if (!this.audioContext) return [];
+        
+        const loads = [];
+        this.soundConfig.sounds.forEach(soundConfig => {
+            if (soundConfig.url) {
+                loads.push(() => this.loadUrlBasedSound(soundConfig.label, soundConfig));
+            } else if (soundConfig.urls) {
+                loads.push(() => this.loadUrlArrayBasedSound(soundConfig.label, soundConfig));
+            }
+            
+            if (soundConfig.accentUrl) {
+                loads.push(() => this.loadAccentSound(soundConfig.label, soundConfig));
+            }
+        });
         
-        try {
-            // Load URL-based sounds from configuration
-            for (const soundConfig of this.soundConfig.sounds) {
-                if (soundConfig.url) {
-                    await this.loadUrlBasedSound(soundConfig.label, soundConfig);
-                } else if (soundConfig.urls) {
-                    await this.loadUrlArrayBasedSound(soundConfig.label, soundConfig);
-                }
+        let done = 0;
+        const reportProgress = () => {
+            if (onProgress) {
+                onProgress(done, loads.length);
             }
-        } catch (error) {
-            console.error('Error loading audio files:', error);
-        }
+        };
+        
+        reportProgress();
+        await Promise.all(loads.map(async load => {
+            await load();
+            done++;
+            reportProgress();
+        }));
+        
+        return this.soundConfig.sounds
+            .filter(soundConfig => this.failedSounds[soundConfig.label])
+            .map(soundConfig => ({
+                label: soundConfig.label,
+                fallback: soundConfig.fallback || null,
+                error: this.failedSounds[soundConfig.label]
+            }));
     }
     
     /**
@@ -53,10 +128,10 @@ class AudioManager {
     async loadUrlBasedSound(soundKey, soundConfig) {
         try {
             this.audioBuffers[soundKey] = await this.loadAudioBuffer(soundConfig.url);
+            delete this.failedSounds[soundKey];
             console.log(`${soundKey} sound loaded successfully`);
         } catch (e) {
-            console.warn(`Failed to load ${soundKey} from URL:`, e);
-            console.log(`Using fallback generated ${soundKey} sound`);
+            this.recordFailedSound(soundKey, soundConfig, e);
         }
     }
     
@@ -65,26 +140,78 @@ class AudioManager {
      */
     async loadUrlArrayBasedSound(soundKey, soundConfig) {
         try {
-            this.audioBuffers[soundKey] = [];
+            this.audioBuffers[soundKey] = await Promise.all(soundConfig.urls.map(url => this.loadAudioBuffer(url)));
             this.soundAlternationCounters[soundKey] = 0;
-            
-            // Load all URLs in the array
-            for (const url of soundConfig.urls) {
-                const buffer = await this.loadAudioBuffer(url);
-                this.audioBuffers[soundKey].push(buffer);
-            }
-            
+            delete this.failedSounds[soundKey];
             console.log(`${soundKey} sounds loaded successfully (${soundConfig.urls.length} files)`);
         } catch (e) {
-            console.warn(`Failed to load ${soundKey} from URLs:`, e);
-            console.log(`Using fallback generated ${soundKey} sound`);
+            this.recordFailedSound(soundKey, soundConfig, e);
+        }
+    }
+    
+    /**
+     * Remember that a sound's audio could not be loaded: it plays its fallback synth, or nothing
+     */
+    recordFailedSound(soundKey, soundConfig, error) {
+        this.failedSounds[soundKey] = error.message;
+        console.warn(`Failed to load ${soundKey}:`, error);
+        
+        if (soundConfig.fallback) {
+            console.log(`Using the fallback synth for ${soundKey}`);
         }
     }
     
     /**
-     * Load an audio buffer from a URL
+     * Get whether a sound can play: 'available', 'fallback' (its audio could not be loaded, its fallback
+     * synth plays instead) or 'unavailable' (its audio could not be loaded and it has no fallback)
      */
-    async loadAudioBuffer(url) {
+    getSoundAvailability(soundKey) {
+        if (!this.failedSounds[soundKey]) {
+            return 'available';
+        }
+        
+        const soundConfig = this.soundConfig.getSoundInfo(soundKey);
+        return soundConfig && soundConfig.fallback ? 'fallback' : 'unavailable';
+    }
+    
+    /**
+     * Load the downbeat (accent) sample for a sound
+     */
+    async loadAccentSound(soundKey, soundConfig) {
+        try {
+            this.accentBuffers[soundKey] = await this.loadAudioBuffer(soundConfig.accentUrl);
+            console.log(`${soundKey} accent sound loaded successfully`);
+        } catch (e) {
+            console.warn(`Failed to load ${soundKey} accent from URL, accenting by gain instead:`, e);
+        }
+    }
+    
+    /**
+     * Forget the decoded audio of a sound that was removed
+     */
+    removeSoundBuffers(soundKey) {
+        delete this.audioBuffers[soundKey];
+        delete this.accentBuffers[soundKey];
+        delete this.soundAlternationCounters[soundKey];
+        delete this.failedSounds[soundKey];
+    }
+    
+    /**
+     * Load an audio buffer from a URL (sounds loading the same file at the same time share the load)
+     */
+    loadAudioBuffer(url) {
+        if (!this.bufferLoads[url]) {
+            this.bufferLoads[url] = this.fetchAudioBuffer(url).finally(() => {
+                delete this.bufferLoads[url];
+            });
+        }
+        return this.bufferLoads[url];
+    }
+    
+    /**
+     * Fetch and decode an audio file (files are kept across visits by the browser's HTTP cache)
+     */
+    async fetchAudioBuffer(url) {
         try {
             const response = await fetch(url);
             if (!response.ok) {
@@ -100,24 +227,40 @@ class AudioManager {
     }
     
     /**
-     * Play an audio buffer at a scheduled time
+     * Play an audio buffer at a scheduled time and return its source
+     * voice: gain, pitch (playback rate), pan, fadeIn and fadeOut (see getSoundVoice)
      */
-    playAudioBuffer(audioBuffer, scheduledTime, isOneshot = false) {
+    playAudioBuffer(audioBuffer, scheduledTime, isOneshot = false, voice = {}) {
         if (!audioBuffer || !this.audioContext) return;
         
         const source = this.audioContext.createBufferSource();
-        const gainNode = this.audioContext.createGain();
+        const playbackRate = voice.pitch || 1;
         
         source.buffer = audioBuffer;
-        source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        source.playbackRate.value = playbackRate;
+        source.connect(this.createVoiceOutput(scheduledTime, voice, audioBuffer.duration / playbackRate));
         
-        // Apply volume control
-        const volumeMultiplier = this.volume / 100;
-        gainNode.gain.setValueAtTime(volumeMultiplier, scheduledTime);
-        
-        // Track oneshot sources for stopping
         if (isOneshot) {
+            this.trackOneshotSources([source]);
+        }
+        
+        // Schedule playback
+        console.log("playing audio buffer", scheduledTime);
+        source.start(scheduledTime);
+        return source;
+    }
+    
+    /**
+     * Track the sources of a oneshot for stopping; the beats duck while any is playing
+     */
+    trackOneshotSources(sources) {
+        if (sources.length === 0) return;
+        
+        if (this.activeOneshotSources.length === 0) {
+            this.duckBeats();
+        }
+        
+        sources.forEach(source => {
             this.activeOneshotSources.push(source);
             
             // Remove from tracking when the sound ends
@@ -125,224 +268,415 @@ class AudioManager {
                 const index = this.activeOneshotSources.indexOf(source);
                 if (index > -1) {
                     this.activeOneshotSources.splice(index, 1);
+                    if (this.activeOneshotSources.length === 0) {
+                        this.releaseDucking();
+                    }
                 }
             };
+        });
+    }
+    
+    /**
+     * Create the output stage of one sound, connected to voice.bus (the master bus by default): its
+     * level (with the fade envelope) and stereo position. duration (seconds) is needed for a fade-out
+     */
+    createVoiceOutput(scheduledTime, voice = {}, duration = null) {
+        const gainNode = this.audioContext.createGain();
+        const level = voice.gain !== undefined ? voice.gain : 1;
+        const fadeIn = voice.fadeIn || 0;
+        
+        if (fadeIn > 0) {
+            gainNode.gain.setValueAtTime(0, scheduledTime);
+            gainNode.gain.linearRampToValueAtTime(level, scheduledTime + fadeIn);
+        } else {
+            gainNode.gain.setValueAtTime(level, scheduledTime);
         }
         
-        // Schedule playback
-        console.log("playing audio buffer", scheduledTime);
-        source.start(scheduledTime);
+        if (voice.fadeOut > 0 && duration !== null) {
+            const endTime = scheduledTime + duration;
+            gainNode.gain.setValueAtTime(level, Math.max(scheduledTime + fadeIn, endTime - voice.fadeOut));
+            gainNode.gain.linearRampToValueAtTime(0, endTime);
+        }
+        
+        // Pan only when asked for (and supported), so centred sounds keep the simplest chain
+        const bus = voice.bus || this.masterGain;
+        if (voice.pan && this.audioContext.createStereoPanner) {
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = Math.max(-1, Math.min(1, voice.pan));
+            gainNode.connect(panner);
+            panner.connect(bus);
+        } else {
+            gainNode.connect(bus);
+        }
+        
+        return gainNode;
+    }
+    
+    /**
+     * Get the voice of a sound from its configuration: trim gain, pitch, pan and fades
+     * An accented (downbeat) voice is louder, and higher pitched for generators
+     */
+    getSoundVoice(soundConfig, accent = false) {
+        const voice = {
+            gain: soundConfig.gain !== undefined ? soundConfig.gain : 1,
+            pitch: soundConfig.pitch || 1,
+            pan: soundConfig.pan || 0,
+            fadeIn: soundConfig.fadeIn || 0,
+            fadeOut: soundConfig.fadeOut || 0
+        };
+        
+        if (accent) {
+            const accentVoice = this.getAccentVoice(soundConfig);
+            voice.gain *= accentVoice.gain;
+            voice.pitch *= accentVoice.pitch || 1;
+        }
+        
+        return voice;
     }
     
     /**
      * Schedule audio for a beat based on the selected sound type
+     * beatOptions.accent marks the first beat of a bar; beatNumber (1-based) and interval (seconds to
+     * the next beat) keep loops on the beat grid
      */
-    scheduleBeatAudio(selectedSound, scheduledTime) {
+    scheduleBeatAudio(selectedSound, scheduledTime, beatOptions = {}) {
         const soundConfig = this.soundConfig.getSoundInfo(selectedSound);
         
         if (!soundConfig) {
             console.warn(`Unknown sound type: ${selectedSound}, falling back to Thump`);
-            this.scheduleKickDrumAudio(scheduledTime);
+            this.scheduleKickDrumAudio(scheduledTime, { bus: this.beatBus });
+            return;
+        }
+        
+        // Loops play continuously, so they are not accented
+        if (soundConfig.loop && this.audioBuffers[selectedSound]) {
+            this.scheduleLoopAudio(selectedSound, soundConfig, scheduledTime, beatOptions);
+            return;
+        }
+        
+        const voice = this.getSoundVoice(soundConfig, beatOptions.accent);
+        voice.bus = this.beatBus;
+        
+        // Accented beats use the sound's own downbeat sample when it has one
+        if (beatOptions.accent && this.accentBuffers[selectedSound]) {
+            const accentVoice = this.getSoundVoice(soundConfig);
+            accentVoice.gain *= soundConfig.accentGain || 1;
+            accentVoice.bus = this.beatBus;
+            this.playAudioBuffer(this.accentBuffers[selectedSound], scheduledTime, false, accentVoice);
             return;
         }
         
         if (soundConfig.url) {
             // Single URL-based sound: try to use loaded audio buffer first
             if (this.audioBuffers[selectedSound]) {
-                this.playAudioBuffer(this.audioBuffers[selectedSound], scheduledTime);
+                this.playAudioBuffer(this.audioBuffers[selectedSound], scheduledTime, false, voice);
             } else {
-                // Fall back to generated sound
-                this[soundConfig.generator](scheduledTime);
+                this.scheduleFallbackAudio(soundConfig, scheduledTime, voice);
             }
         } else if (soundConfig.urls) {
             // Multiple URL-based sound: alternate between loaded audio buffers
             if (this.audioBuffers[selectedSound] && this.audioBuffers[selectedSound].length > 0) {
                 const currentIndex = this.soundAlternationCounters[selectedSound] % this.audioBuffers[selectedSound].length;
                 const currentBuffer = this.audioBuffers[selectedSound][currentIndex];
-                this.playAudioBuffer(currentBuffer, scheduledTime);
+                this.playAudioBuffer(currentBuffer, scheduledTime, false, voice);
                 
                 // Increment alternation counter for next time
                 this.soundAlternationCounters[selectedSound]++;
             } else {
-                // Fall back to generated sound
-                this[soundConfig.generator](scheduledTime);
+                this.scheduleFallbackAudio(soundConfig, scheduledTime, voice);
             }
-        } else if (soundConfig.generator) {
-            // Function-based sound: use the generator function
-            this[soundConfig.generator](scheduledTime);
+        } else if (soundConfig.synth || soundConfig.generator) {
+            // Generated sound: synth preset/parameters or generator function
+            this.scheduleGeneratedAudio(soundConfig, scheduledTime, voice);
         }
     }
     
     /**
-     * Generate a kick drum sound
+     * Play one beat of a loop: the slice of the recording that belongs to this beat, rate-adjusted to fill
+     * the interval until the next beat, so the slices join up into continuous, phase-locked playback at any tempo
+     * soundConfig.loop: { bpm, beats } is the recorded tempo and length in beats of each file (files take turns)
      */
-    scheduleKickDrumAudio(scheduledTime) {
-        // Create a more realistic kick drum sound
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
-        
-        // Connect the audio chain
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Set filter for kick drum character
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(200, scheduledTime);
-        filter.frequency.exponentialRampToValueAtTime(50, scheduledTime + 0.1);
-        
-        // Kick drum frequency sweep
-        oscillator.frequency.setValueAtTime(80, scheduledTime);
-        oscillator.frequency.exponentialRampToValueAtTime(20, scheduledTime + 0.1);
-        
-        // Volume envelope with user-controlled volume
-        const volumeMultiplier = this.volume / 100;
-        gainNode.gain.setValueAtTime(0, scheduledTime);
-        gainNode.gain.linearRampToValueAtTime(volumeMultiplier, scheduledTime + 0.01);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, scheduledTime + 0.3);
+    scheduleLoopAudio(soundKey, soundConfig, scheduledTime, beatOptions = {}) {
+        const loop = soundConfig.loop;
+        const buffers = [].concat(this.audioBuffers[soundKey]);
+        const recordedBeatLength = 60 / loop.bpm;
+        const interval = beatOptions.interval || recordedBeatLength;
+        
+        // Position on the beat grid: which file, and which beat within it
+        const beatIndex = Math.max(0, (beatOptions.beatNumber || 1) - 1);
+        const buffer = buffers[Math.floor(beatIndex / loop.beats) % buffers.length];
+        const offset = (beatIndex % loop.beats) * recordedBeatLength;
+        if (offset >= buffer.duration) return;
+        
+        // Pitch and fades would break the joins between slices, so a loop only keeps its gain and pan
+        const voice = this.getSoundVoice(soundConfig);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = recordedBeatLength / interval;
+        source.connect(this.createVoiceOutput(scheduledTime, { gain: voice.gain, pan: voice.pan, bus: this.beatBus }));
+        source.start(scheduledTime, offset, recordedBeatLength);
+        return source;
+    }
+    
+    /**
+     * Get the accent (downbeat) gain and pitch for a sound: louder, and higher pitched for generators
+     */
+    getAccentVoice(soundConfig) {
+        if ((soundConfig.synth || soundConfig.generator) && !soundConfig.url && !soundConfig.urls) {
+            return {
+                gain: soundConfig.accentGain || 1.3,
+                pitch: soundConfig.accentPitch || 1.5
+            };
+        }
         
-        // Start and stop the oscillator
-        oscillator.start(scheduledTime);
-        oscillator.stop(scheduledTime + 0.3);
+        return {
+            gain: soundConfig.accentGain || 1.6
+        };
     }
     
     /**
-     * Generate a heartbeat sound
+     * Schedule the subdivision clicks between a beat and the next one, with swing (0-100%)
      */
-    scheduleHeartbeatAudio(scheduledTime) {
-        const volumeMultiplier = this.volume / 100;
+    scheduleSubdivisionsAudio(beatTime, interval, subdivision, swing = 0) {
+        if (subdivision <= 1) return;
         
-        // Calculate the beat interval in seconds
-        const beatInterval = 60 / 120; // Default BPM for heartbeat calculation
-        // Second beat occurs at 1/4 of the beat interval
-        const secondBeatDelay = beatInterval * 0.25;
+        const subdivisionInterval = interval / subdivision;
         
-        // First beat (stronger)
-        const oscillator1 = this.audioContext.createOscillator();
-        const gainNode1 = this.audioContext.createGain();
-        const filter1 = this.audioContext.createBiquadFilter();
+        // Swing only applies to even subdivisions: at 100% the off-beat moves to the last triplet
+        const swingDelay = subdivision % 2 === 0 ? (swing / 100) * subdivisionInterval / 3 : 0;
         
-        oscillator1.connect(filter1);
-        filter1.connect(gainNode1);
-        gainNode1.connect(this.audioContext.destination);
+        for (let index = 1; index < subdivision; index++) {
+            const isOffBeat = index % 2 === 1;
+            const time = beatTime + index * subdivisionInterval + (isOffBeat ? swingDelay : 0);
+            this.scheduleSubdivisionAudio(time, subdivision, index);
+        }
+    }
+    
+    /**
+     * Schedule a subdivision click between main beats
+     * index is the click's position within the beat (1 .. subdivision - 1)
+     */
+    scheduleSubdivisionAudio(scheduledTime, subdivision, index) {
+        const subdivisionConfig = this.soundConfig.getSubdivisionInfo(subdivision);
+        if (!subdivisionConfig) return;
         
-        // Heartbeat character - lower frequency, softer attack
-        filter1.type = 'lowpass';
-        filter1.frequency.setValueAtTime(150, scheduledTime);
-        filter1.frequency.exponentialRampToValueAtTime(40, scheduledTime + 0.15);
+        // The "and" of an even subdivision is a little stronger than the "e" and "a"
+        const isMiddle = subdivision % 2 === 0 && index === subdivision / 2;
         
-        oscillator1.frequency.setValueAtTime(60, scheduledTime);
-        oscillator1.frequency.exponentialRampToValueAtTime(15, scheduledTime + 0.15);
+        this.scheduleClickAudio(scheduledTime, {
+            frequency: subdivisionConfig.frequency,
+            gain: subdivisionConfig.gain * (isMiddle ? 1.3 : 1)
+        });
+    }
+    
+    /**
+     * Schedule a count-in click (the first click of the count-in is higher)
+     */
+    scheduleCountInAudio(scheduledTime, isFirst = false) {
+        const countInConfig = this.soundConfig.countIn;
         
-        // Volume envelope for first beat
-        gainNode1.gain.setValueAtTime(0, scheduledTime);
-        gainNode1.gain.linearRampToValueAtTime(volumeMultiplier * 2, scheduledTime + 0.02);
-        gainNode1.gain.exponentialRampToValueAtTime(0.01, scheduledTime + 0.4);
+        this.scheduleClickAudio(scheduledTime, {
+            frequency: isFirst ? countInConfig.accentFrequency : countInConfig.frequency,
+            gain: countInConfig.gain
+        });
+    }
+    
+    /**
+     * Generate a short click (used for subdivisions and the count-in)
+     */
+    scheduleClickAudio(scheduledTime, click) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
         
-        oscillator1.start(scheduledTime);
-        oscillator1.stop(scheduledTime + 0.4);
+        oscillator.connect(gainNode);
+        gainNode.connect(this.beatBus);
         
-        // Second beat (softer, slightly higher pitch)
-        const oscillator2 = this.audioContext.createOscillator();
-        const gainNode2 = this.audioContext.createGain();
-        const filter2 = this.audioContext.createBiquadFilter();
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(click.frequency, scheduledTime);
         
-        oscillator2.connect(filter2);
-        filter2.connect(gainNode2);
-        gainNode2.connect(this.audioContext.destination);
+        // Very short envelope so clicks never blur into the main beats
+        const volumeMultiplier = click.gain;
+        gainNode.gain.setValueAtTime(0, scheduledTime);
+        gainNode.gain.linearRampToValueAtTime(volumeMultiplier, scheduledTime + 0.002);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, scheduledTime + 0.04);
         
-        filter2.type = 'lowpass';
-        filter2.frequency.setValueAtTime(180, scheduledTime + secondBeatDelay);
-        filter2.frequency.exponentialRampToValueAtTime(50, scheduledTime + secondBeatDelay + 0.15);
+        oscillator.start(scheduledTime);
+        oscillator.stop(scheduledTime + 0.04);
+    }
+    
+    /**
+     * Generate a sound from synth parameters (a preset name, one voice or a list of layers, see SoundConfig)
+     * voice.pitch multiplies the oscillator and filter frequencies
+     * Returns the sources it started (oscillators and noise)
+     */
+    scheduleSynthAudio(scheduledTime, synth, voice = {}) {
+        const pitch = voice.pitch || 1;
+        const layers = this.soundConfig.getSynthLayers(synth);
+        const sources = [];
+        if (layers.length === 0) {
+            console.warn('Unknown synth preset:', synth);
+            return sources;
+        }
         
-        oscillator2.frequency.setValueAtTime(70, scheduledTime + secondBeatDelay);
-        oscillator2.frequency.exponentialRampToValueAtTime(20, scheduledTime + secondBeatDelay + 0.15);
+        // All layers share the sound's output stage
+        const duration = Math.max(...layers.map(layer => layer.delay + this.getSynthLayerLength(layer)));
+        const output = this.createVoiceOutput(scheduledTime, voice, duration);
         
-        // Volume envelope for second beat (softer)
-        gainNode2.gain.setValueAtTime(0, scheduledTime + secondBeatDelay);
-        gainNode2.gain.linearRampToValueAtTime(volumeMultiplier * 1.5, scheduledTime + secondBeatDelay + 0.02);
-        gainNode2.gain.exponentialRampToValueAtTime(0.01, scheduledTime + secondBeatDelay + 0.35);
+        layers.forEach(layer => {
+            const startTime = scheduledTime + layer.delay;
+            const stopTime = startTime + this.getSynthLayerLength(layer);
+            
+            // ADSR envelope (exponential decay and release, so it can't reach zero: 0.01 is silent enough)
+            const envelope = this.audioContext.createGain();
+            const sustainLevel = Math.max(layer.sustain * layer.level, 0.01);
+            envelope.gain.setValueAtTime(0, startTime);
+            envelope.gain.linearRampToValueAtTime(layer.level, startTime + layer.attack);
+            envelope.gain.exponentialRampToValueAtTime(sustainLevel, startTime + layer.attack + layer.decay);
+            if (layer.sustain > 0 && layer.release > 0) {
+                envelope.gain.setValueAtTime(sustainLevel, stopTime - layer.release);
+                envelope.gain.exponentialRampToValueAtTime(0.01, stopTime);
+            }
+            envelope.connect(output);
+            
+            // Optional filter, with a cutoff sweep
+            let input = envelope;
+            if (layer.filterType !== 'none') {
+                const filter = this.audioContext.createBiquadFilter();
+                filter.type = layer.filterType;
+                filter.Q.value = layer.filterQ;
+                filter.frequency.setValueAtTime(layer.filterFrequency * pitch, startTime);
+                if (layer.filterTo) {
+                    filter.frequency.exponentialRampToValueAtTime(layer.filterTo * pitch, startTime + layer.filterTime);
+                }
+                filter.connect(envelope);
+                input = filter;
+            }
+            
+            // Oscillator, with a pitch sweep
+            if (layer.noise < 1) {
+                const oscillator = this.audioContext.createOscillator();
+                const oscillatorGain = this.audioContext.createGain();
+                oscillator.type = layer.waveform;
+                oscillator.frequency.setValueAtTime(layer.frequency * pitch, startTime);
+                if (layer.sweepTo) {
+                    oscillator.frequency.exponentialRampToValueAtTime(layer.sweepTo * pitch, startTime + layer.sweepTime);
+                }
+                oscillatorGain.gain.value = 1 - layer.noise;
+                oscillator.connect(oscillatorGain);
+                oscillatorGain.connect(input);
+                oscillator.start(startTime);
+                oscillator.stop(stopTime);
+                sources.push(oscillator);
+            }
+            
+            // Noise layer
+            if (layer.noise > 0) {
+                const noise = this.audioContext.createBufferSource();
+                const noiseGain = this.audioContext.createGain();
+                noise.buffer = this.getNoiseBuffer();
+                noise.loop = true;
+                noiseGain.gain.value = layer.noise;
+                noise.connect(noiseGain);
+                noiseGain.connect(input);
+                noise.start(startTime);
+                noise.stop(stopTime);
+                sources.push(noise);
+            }
+        });
         
-        oscillator2.start(scheduledTime + secondBeatDelay);
-        oscillator2.stop(scheduledTime + secondBeatDelay + 0.35);
+        return sources;
+    }
+    
+    /**
+     * Get how long a synth layer sounds (attack and decay, plus hold and release when it sustains)
+     */
+    getSynthLayerLength(layer) {
+        const length = layer.attack + layer.decay;
+        return layer.sustain > 0 ? length + layer.hold + layer.release : length;
+    }
+    
+    /**
+     * Get (and create on first use) a second of white noise for synth noise layers
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const sampleRate = this.audioContext.sampleRate;
+            this.noiseBuffer = this.audioContext.createBuffer(1, sampleRate, sampleRate);
+            const samples = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+    
+    /**
+     * Generate the sound of a sound configuration without samples: its synth, or a generator method
+     * Returns the sources it started
+     */
+    scheduleGeneratedAudio(soundConfig, scheduledTime, voice = {}) {
+        if (soundConfig.synth) {
+            return this.scheduleSynthAudio(scheduledTime, soundConfig.synth, voice);
+        } else if (soundConfig.generator) {
+            return this[soundConfig.generator](scheduledTime, voice) || [];
+        }
+        return [];
+    }
+    
+    /**
+     * Generate the fallback synth of a sound whose audio could not be loaded (nothing plays without one)
+     * Returns the sources it started
+     */
+    scheduleFallbackAudio(soundConfig, scheduledTime, voice = {}) {
+        if (soundConfig.fallback) {
+            return this.scheduleSynthAudio(scheduledTime, soundConfig.fallback, voice);
+        }
+        console.warn(`Audio not loaded for ${soundConfig.label}, and it has no fallback`);
+        return [];
+    }
+    
+    /**
+     * Generate a kick drum sound
+     */
+    scheduleKickDrumAudio(scheduledTime, voice = {}) {
+        return this.scheduleSynthAudio(scheduledTime, 'Kick', voice);
+    }
+    
+    /**
+     * Generate a heartbeat sound
+     */
+    scheduleHeartbeatAudio(scheduledTime, voice = {}) {
+        return this.scheduleSynthAudio(scheduledTime, 'Heartbeat', voice);
     }
     
     /**
      * Generate a clock tick sound
      */
-    scheduleClockAudio(scheduledTime) {
+    scheduleClockAudio(scheduledTime, voice = {}) {
         // Use WAV file if available, otherwise fall back to generated sound
         if (this.audioBuffers['Clock'] && this.audioBuffers['Clock'].length > 0) {
             const currentIndex = this.soundAlternationCounters['Clock'] % this.audioBuffers['Clock'].length;
             const currentBuffer = this.audioBuffers['Clock'][currentIndex];
-            this.playAudioBuffer(currentBuffer, scheduledTime);
+            const source = this.playAudioBuffer(currentBuffer, scheduledTime, false, voice);
             
             // Increment alternation counter for next time
             this.soundAlternationCounters['Clock']++;
-        } else {
-            // Fallback to generated clock tick sound
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
-            
-            oscillator.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            // Clock tick character - sharp, metallic
-            filter.type = 'highpass';
-            filter.frequency.setValueAtTime(2000, scheduledTime);
-            filter.frequency.exponentialRampToValueAtTime(800, scheduledTime + 0.05);
-            
-            oscillator.frequency.setValueAtTime(3000, scheduledTime);
-            oscillator.frequency.exponentialRampToValueAtTime(1000, scheduledTime + 0.05);
-            
-            // Sharp, quick envelope
-            const volumeMultiplier = this.volume / 100;
-            gainNode.gain.setValueAtTime(0, scheduledTime);
-            gainNode.gain.linearRampToValueAtTime(volumeMultiplier * 0.6, scheduledTime + 0.005);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, scheduledTime + 0.1);
-            
-            oscillator.start(scheduledTime);
-            oscillator.stop(scheduledTime + 0.1);
+            return [source];
         }
+        return this.scheduleSynthAudio(scheduledTime, 'Clock Tick', voice);
     }
     
     /**
      * Generate a bell sound
      */
-    scheduleBellAudio(scheduledTime) {
-        // Create a bell sound
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
-        
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Bell character - bright, resonant
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(3000, scheduledTime);
-        filter.frequency.exponentialRampToValueAtTime(1000, scheduledTime + 0.5);
-        
-        oscillator.frequency.setValueAtTime(800, scheduledTime);
-        
-        // Bell envelope - quick attack, long decay
-        const volumeMultiplier = this.volume / 100;
-        gainNode.gain.setValueAtTime(0, scheduledTime);
-        gainNode.gain.linearRampToValueAtTime(volumeMultiplier * 0.4, scheduledTime + 0.02);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, scheduledTime + 1.0);
-        
-        oscillator.start(scheduledTime);
-        oscillator.stop(scheduledTime + 1.0);
+    scheduleBellAudio(scheduledTime, voice = {}) {
+        return this.scheduleSynthAudio(scheduledTime, 'Bell', voice);
     }
     
     /**
      * Play ending sound
      */
-    playEndingSound(selectedEndingSound) {
+    playEndingSound(selectedEndingSound, scheduledTime = null) {
         if (!this.audioContext) return;
         
         const soundConfig = this.soundConfig.getSoundInfo(selectedEndingSound);
@@ -357,29 +691,56 @@ class AudioManager {
             return;
         }
         
-        const scheduledTime = this.audioContext.currentTime;
+        // Play now unless a time on the audio clock is given
+        if (scheduledTime === null) {
+            scheduledTime = this.audioContext.currentTime;
+        }
+        
+        // A multi-stage ending played on its own plays the stages of its final beat
+        if (soundConfig.stages) {
+            this.endingSequence.playFinalStages(selectedEndingSound, scheduledTime);
+            return;
+        }
+        
+        const voice = this.getSoundVoice(soundConfig);
         
         if (soundConfig.url) {
             // Single URL-based sound: try to use loaded audio buffer first
             if (this.audioBuffers[selectedEndingSound]) {
-                this.playAudioBuffer(this.audioBuffers[selectedEndingSound], scheduledTime);
+                this.playAudioBuffer(this.audioBuffers[selectedEndingSound], scheduledTime, false, voice);
             } else {
-                console.warn(`Audio buffer not loaded for ending sound: ${selectedEndingSound}`);
+                this.scheduleFallbackAudio(soundConfig, scheduledTime, voice);
             }
         } else if (soundConfig.urls) {
             // Multiple URL-based sound: use first available buffer
             if (this.audioBuffers[selectedEndingSound] && this.audioBuffers[selectedEndingSound].length > 0) {
                 const currentBuffer = this.audioBuffers[selectedEndingSound][0];
-                this.playAudioBuffer(currentBuffer, scheduledTime);
+                this.playAudioBuffer(currentBuffer, scheduledTime, false, voice);
             } else {
-                console.warn(`Audio buffers not loaded for ending sound: ${selectedEndingSound}`);
+                this.scheduleFallbackAudio(soundConfig, scheduledTime, voice);
             }
-        } else if (soundConfig.generator) {
-            // Function-based sound: use the generator function
-            this[soundConfig.generator](scheduledTime);
+        } else if (soundConfig.synth || soundConfig.generator) {
+            // Generated sound: synth preset/parameters or generator function
+            this.scheduleGeneratedAudio(soundConfig, scheduledTime, voice);
         }
     }
     
+    /**
+     * Schedule the stages of an ending that fall on a beat (see EndingSequence.scheduleBeat)
+     */
+    scheduleEndingAudio(selectedEndingSound, beatsLeft, scheduledTime, interval) {
+        if (!this.audioContext) return;
+        this.endingSequence.scheduleBeat(selectedEndingSound, beatsLeft, scheduledTime, interval);
+    }
+    
+    /**
+     * Stop the ending's layers (the show stopped before its final beat)
+     */
+    stopEndingAudio() {
+        if (!this.audioContext) return;
+        this.endingSequence.stop();
+    }
+    
     /**
      * Play oneshot sound immediately (plays on top of other sounds)
      */
@@ -394,25 +755,26 @@ class AudioManager {
         }
         
         const scheduledTime = this.audioContext.currentTime;
+        const voice = this.getSoundVoice(soundConfig);
         
         if (soundConfig.url) {
             // Single URL-based sound: try to use loaded audio buffer first
             if (this.audioBuffers[selectedOneshotSound]) {
-                this.playAudioBuffer(this.audioBuffers[selectedOneshotSound], scheduledTime, true);
+                this.playAudioBuffer(this.audioBuffers[selectedOneshotSound], scheduledTime, true, voice);
             } else {
-                console.warn(`Audio buffer not loaded for oneshot sound: ${selectedOneshotSound}`);
+                this.trackOneshotSources(this.scheduleFallbackAudio(soundConfig, scheduledTime, voice));
             }
         } else if (soundConfig.urls) {
             // Multiple URL-based sound: use first available buffer
             if (this.audioBuffers[selectedOneshotSound] && this.audioBuffers[selectedOneshotSound].length > 0) {
                 const currentBuffer = this.audioBuffers[selectedOneshotSound][0];
-                this.playAudioBuffer(currentBuffer, scheduledTime, true);
+                this.playAudioBuffer(currentBuffer, scheduledTime, true, voice);
             } else {
-                console.warn(`Audio buffers not loaded for oneshot sound: ${selectedOneshotSound}`);
+                this.trackOneshotSources(this.scheduleFallbackAudio(soundConfig, scheduledTime, voice));
             }
-        } else if (soundConfig.generator) {
-            // Function-based sound: use the generator function
-            this[soundConfig.generator](scheduledTime);
+        } else if (soundConfig.synth || soundConfig.generator) {
+            // Generated sound: synth preset/parameters or generator function
+            this.trackOneshotSources(this.scheduleGeneratedAudio(soundConfig, scheduledTime, voice));
         }
     }
     
@@ -432,13 +794,156 @@ class AudioManager {
         
         // Clear the array
         this.activeOneshotSources = [];
+        this.releaseDucking();
+    }
+    
+    /**
+     * Start looping an ambient bed, fading it in; a bed that is already playing fades out
+     * Returns whether the bed could start (its audio has to be loaded)
+     */
+    startAmbient(soundKey) {
+        if (!this.audioContext) return false;
+        
+        const soundConfig = this.soundConfig.getSoundInfo(soundKey);
+        const buffer = this.audioBuffers[soundKey];
+        const audioBuffer = Array.isArray(buffer) ? buffer[0] : buffer;
+        if (!soundConfig || !audioBuffer) {
+            console.warn(`Ambient sound not loaded: ${soundKey}`);
+            return false;
+        }
+        
+        this.stopAmbient();
+        
+        const now = this.audioContext.currentTime;
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.playbackRate.value = soundConfig.pitch || 1;
+        source.loop = true;
+        source.loopStart = soundConfig.loopStart || 0;
+        source.loopEnd = soundConfig.loopEnd || audioBuffer.duration;
+        
+        const voice = this.getSoundVoice(soundConfig);
+        const output = this.createVoiceOutput(now, {
+            gain: voice.gain,
+            pan: voice.pan,
+            fadeIn: soundConfig.fadeIn !== undefined ? soundConfig.fadeIn : this.soundConfig.ambient.fadeIn,
+            bus: this.ambientBus
+        });
+        source.connect(output);
+        source.start(now, source.loopStart);
+        
+        this.ambient = { soundKey: soundKey, source: source, output: output };
+        return true;
+    }
+    
+    /**
+     * Fade the ambient bed out and stop it
+     */
+    stopAmbient() {
+        if (!this.ambient) return;
+        
+        const { soundKey, source, output } = this.ambient;
+        const soundConfig = this.soundConfig.getSoundInfo(soundKey);
+        const fadeOut = soundConfig && soundConfig.fadeOut !== undefined ? soundConfig.fadeOut : this.soundConfig.ambient.fadeOut;
+        const now = this.audioContext.currentTime;
+        
+        // Fade from wherever the level is now, also halfway through the fade-in
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(output.gain.value, now);
+        output.gain.linearRampToValueAtTime(0, now + Math.max(fadeOut, 0.01));
+        source.stop(now + Math.max(fadeOut, 0.01));
+        
+        this.ambient = null;
+    }
+    
+    /**
+     * Get the label of the ambient bed playing now, or null
+     */
+    getAmbientSound() {
+        return this.ambient ? this.ambient.soundKey : null;
+    }
+    
+    /**
+     * Set the ambient bed volume (0-100), independent of the beat
+     */
+    setAmbientVolume(volume) {
+        this.ambientVolume = volume;
+        if (!this.ambientBus) return;
+        
+        this.ambientBus.gain.setTargetAtTime(volume / 100, this.audioContext.currentTime, 0.01);
+    }
+    
+    /**
+     * Set the ducking of the beats under oneshots (amount in dB, 0 = off; attack and release in seconds)
+     */
+    setDucking(ducking) {
+        Object.assign(this.ducking, ducking);
+        
+        // Apply a new amount to a oneshot that is already playing
+        if (this.activeOneshotSources.length > 0) {
+            this.duckBeats();
+        }
+    }
+    
+    /**
+     * Turn the beat bus down by the ducking amount over the attack time
+     */
+    duckBeats() {
+        this.rampBeatBus(Math.pow(10, -Math.max(0, this.ducking.amount) / 20), this.ducking.attack);
+    }
+    
+    /**
+     * Bring the beat bus back to full level over the release time
+     */
+    releaseDucking() {
+        this.rampBeatBus(1, this.ducking.release);
+    }
+    
+    /**
+     * Ramp the beat bus level from where it is now
+     */
+    rampBeatBus(target, duration) {
+        if (!this.beatBus) return;
+        
+        const now = this.audioContext.currentTime;
+        const gain = this.beatBus.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + Math.max(duration, 0.01));
     }
     
     /**
-     * Set the volume level
+     * Set the volume level (takes effect immediately, also on sounds already playing)
      */
     setVolume(volume) {
         this.volume = volume;
+        this.applyMasterGain();
+    }
+    
+    /**
+     * Mute or unmute everything at once (panic mute)
+     */
+    setMuted(muted) {
+        this.isMuted = muted;
+        this.applyMasterGain();
+    }
+    
+    /**
+     * Toggle the panic mute, returning whether it is now muted
+     */
+    toggleMute() {
+        this.setMuted(!this.isMuted);
+        return this.isMuted;
+    }
+    
+    /**
+     * Glide the master gain to the current volume (or silence) without a click
+     */
+    applyMasterGain() {
+        if (!this.masterGain) return;
+        
+        const target = this.isMuted ? 0 : this.volume / 100;
+        this.masterGain.gain.setTargetAtTime(target, this.audioContext.currentTime, 0.01);
     }
     
     /**
@@ -463,7 +968,16 @@ class AudioManager {
     getCurrentTime() {
         return this.audioContext ? this.audioContext.currentTime : 0;
     }
-    
+
+    /**
+     * Get the output latency the browser reports (seconds from the audio clock to the speakers)
+     * Bluetooth and external interfaces often add more than is reported, hence the calibration
+     */
+    getOutputLatency() {
+        if (!this.audioContext) return 0;
+        return this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+    }
+
     /**
      * Initialize audio device by playing a silent sound
      * This ensures the audio device is properly started for future audio playback
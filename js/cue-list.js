@@ -0,0 +1,283 @@
+/**
+ * Cue List Module
+ * Fires oneshots and actions when the countdown reaches a beat count or a remaining time
+ */
+class CueList {
+    constructor(soundConfig, callbacks) {
+        this.soundConfig = soundConfig;
+        this.callbacks = callbacks; // Object containing callback functions from main app
+
+        // Cues: { id, trigger: { beatsLeft } | { remainingSeconds }, action, value, status }
+        // status is 'pending', 'fired', 'skipped' or 'missed' (passed while disarmed)
+        this.cues = [];
+        this.nextCueId = 1;
+        this.isArmed = true;
+
+        // Last values seen, so a cue fires once when its trigger is crossed
+        this.lastCountdown = null;
+        this.lastRemainingSeconds = null;
+    }
+
+    /**
+     * Parse a trigger: "250" means 250 beats left, "05:00" means 5 minutes left
+     */
+    parseTrigger(text) {
+        const trimmed = String(text).trim();
+
+        if (trimmed.includes(':')) {
+            const parts = trimmed.split(':').map(part => parseInt(part));
+            if (parts.some(part => isNaN(part) || part < 0)) {
+                throw new Error(`invalid time "${trimmed}"`);
+            }
+            const remainingSeconds = parts.reduce((total, part) => total * 60 + part, 0);
+            return { remainingSeconds: remainingSeconds };
+        }
+
+        const beatsLeft = parseInt(trimmed);
+        if (isNaN(beatsLeft) || beatsLeft < 0) {
+            throw new Error(`invalid trigger "${trimmed}" (use beats left, e.g. 250, or a time, e.g. 05:00)`);
+        }
+        return { beatsLeft: beatsLeft };
+    }
+
+    /**
+     * Format a trigger for display (the inverse of parseTrigger)
+     */
+    formatTrigger(trigger) {
+        if (trigger.remainingSeconds !== undefined) {
+            const minutes = Math.floor(trigger.remainingSeconds / 60);
+            const seconds = trigger.remainingSeconds % 60;
+            return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        }
+        return String(trigger.beatsLeft);
+    }
+
+    /**
+     * Check an action and its value, returning the normalized value
+     */
+    validateAction(action, value) {
+        switch (action) {
+            case 'oneshot':
+            case 'sound':
+            case 'ending': {
+                // Beat sounds have no type; combos are not beat sounds on their own
+                const soundConfig = this.soundConfig.getSoundInfo(value);
+                const expectedType = { oneshot: 'oneshot', sound: undefined, ending: 'end' }[action];
+                if (!soundConfig || soundConfig.type !== expectedType) {
+                    const kind = { oneshot: 'oneshot', sound: 'beat', ending: 'ending' }[action];
+                    throw new Error(`unknown ${kind} sound "${value}"`);
+                }
+                return value;
+            }
+            case 'bpm': {
+                const bpm = parseInt(value);
+                if (isNaN(bpm)) {
+                    throw new Error(`invalid BPM "${value}"`);
+                }
+                return window.bpmConfig.clampBpm(bpm);
+            }
+            case 'message':
+                return String(value || '');
+            default:
+                throw new Error(`unknown action "${action}"`);
+        }
+    }
+
+    /**
+     * Add a cue ({ trigger: text, action, value }); throws an Error if it is invalid
+     */
+    addCue({ trigger, action, value }) {
+        const cue = {
+            id: this.nextCueId++,
+            trigger: this.parseTrigger(trigger),
+            action: action,
+            value: this.validateAction(action, value),
+            status: 'pending'
+        };
+
+        this.cues.push(cue);
+        this.notifyChanged();
+        return cue;
+    }
+
+    /**
+     * Edit a cue's trigger, action or value; throws an Error if the result is invalid
+     */
+    updateCue(id, changes) {
+        const cue = this.getCue(id);
+        if (!cue) return null;
+
+        const action = changes.action !== undefined ? changes.action : cue.action;
+        const value = changes.value !== undefined ? changes.value : cue.value;
+        const trigger = changes.trigger !== undefined ? this.parseTrigger(changes.trigger) : cue.trigger;
+
+        cue.value = this.validateAction(action, value);
+        cue.action = action;
+        cue.trigger = trigger;
+
+        this.notifyChanged();
+        return cue;
+    }
+
+    /**
+     * Remove a cue
+     */
+    removeCue(id) {
+        this.cues = this.cues.filter(cue => cue.id !== id);
+        this.notifyChanged();
+    }
+
+    /**
+     * Skip a pending cue, or un-skip a skipped one
+     */
+    toggleSkipCue(id) {
+        const cue = this.getCue(id);
+        if (!cue) return;
+
+        if (cue.status === 'pending') {
+            cue.status = 'skipped';
+        } else if (cue.status === 'skipped') {
+            cue.status = 'pending';
+        }
+        this.notifyChanged();
+    }
+
+    /**
+     * Arm or disarm the list; cues passed while disarmed are marked missed
+     */
+    setArmed(armed) {
+        this.isArmed = armed;
+        this.notifyChanged();
+    }
+
+    /**
+     * Make every cue pending again (at the start of a show)
+     */
+    reset() {
+        this.cues.forEach(cue => {
+            cue.status = 'pending';
+        });
+        this.lastCountdown = null;
+        this.lastRemainingSeconds = null;
+        this.notifyChanged();
+    }
+
+    /**
+     * Snapshot of the cues and their progress for session persistence
+     */
+    getSessionState() {
+        return {
+            cues: this.cues.map(cue => Object.assign({}, cue)),
+            nextCueId: this.nextCueId,
+            isArmed: this.isArmed
+        };
+    }
+
+    /**
+     * Bring back saved cues for a resumed show at its countdown and remaining time
+     * Pending cues the show passed while the app was down are marked missed, as if disarmed
+     */
+    restoreSession(state, countdown, remainingSeconds) {
+        this.cues = state.cues.map(cue => Object.assign({}, cue));
+        this.nextCueId = state.nextCueId;
+        this.isArmed = state.isArmed;
+
+        this.cues.forEach(cue => {
+            const isPassed = cue.trigger.beatsLeft !== undefined
+                ? countdown <= cue.trigger.beatsLeft
+                : remainingSeconds <= cue.trigger.remainingSeconds;
+            if (cue.status === 'pending' && isPassed) {
+                cue.status = 'missed';
+            }
+        });
+
+        this.lastCountdown = countdown;
+        this.lastRemainingSeconds = remainingSeconds;
+        this.notifyChanged();
+    }
+
+    /**
+     * Fire cues whose beat trigger was crossed by the countdown
+     */
+    checkCountdown(countdown) {
+        const previous = this.lastCountdown;
+        this.lastCountdown = countdown;
+
+        this.checkTriggers(cue => cue.trigger.beatsLeft !== undefined &&
+            (previous === null || previous > cue.trigger.beatsLeft) && countdown <= cue.trigger.beatsLeft);
+    }
+
+    /**
+     * Fire cues whose time trigger was crossed by the countdown clock (whole seconds, as displayed)
+     */
+    checkRemainingTime(remainingSeconds) {
+        const previous = this.lastRemainingSeconds;
+        this.lastRemainingSeconds = remainingSeconds;
+
+        this.checkTriggers(cue => cue.trigger.remainingSeconds !== undefined &&
+            (previous === null || previous > cue.trigger.remainingSeconds) && remainingSeconds <= cue.trigger.remainingSeconds);
+    }
+
+    /**
+     * Fire (or, while disarmed, mark missed) the pending cues matching a crossed trigger
+     */
+    checkTriggers(isCrossed) {
+        const crossed = this.cues.filter(cue => cue.status === 'pending' && isCrossed(cue));
+        if (crossed.length === 0) return;
+
+        crossed.forEach(cue => {
+            if (this.isArmed) {
+                this.fireCue(cue);
+            } else {
+                cue.status = 'missed';
+            }
+        });
+        this.notifyChanged();
+    }
+
+    /**
+     * Fire the next pending cue (in list order) right now
+     */
+    fireNext() {
+        const cue = this.getNextCue();
+        if (!cue) return null;
+
+        this.fireCue(cue);
+        this.notifyChanged();
+        return cue;
+    }
+
+    /**
+     * Run a cue's action through the app
+     */
+    fireCue(cue) {
+        cue.status = 'fired';
+
+        if (this.callbacks.onCueFired) {
+            this.callbacks.onCueFired(cue);
+        }
+    }
+
+    /**
+     * Get the next pending cue in list order, or null
+     */
+    getNextCue() {
+        return this.cues.find(cue => cue.status === 'pending') || null;
+    }
+
+    /**
+     * Get a cue by id
+     */
+    getCue(id) {
+        return this.cues.find(cue => cue.id === id) || null;
+    }
+
+    /**
+     * Notify the app that the list (or a cue's status) changed
+     */
+    notifyChanged() {
+        if (this.callbacks.onCuesChanged) {
+            this.callbacks.onCuesChanged(this.cues);
+        }
+    }
+}
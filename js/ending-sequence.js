@@ -0,0 +1,173 @@
+/**
+ * Ending Sequence Module
+ * Plays an ending as stages around the final beat (see stages in SoundConfig): sounds on a given number of
+ * beats left, and layers that loop from one beat to another. The timer hands over every beat as it is
+ * scheduled, so each stage is scheduled on the audio clock on its beat instead of when the final beat is seen
+ */
+class EndingSequence {
+    constructor(audioManager) {
+        this.audioManager = audioManager;
+        this.endingSound = null; // Ending whose stages are being played
+        this.played = new Set(); // Sound stages already scheduled
+        this.layers = new Map(); // Layer stages playing now: stage -> { source, output, level } (source null: played once)
+        this.layerRelease = 0.05; // Seconds a layer takes to die away on its last beat
+    }
+
+    /**
+     * Get the stages of an ending; a plain ending sound is a single stage on the final beat
+     */
+    getStages(endingSound) {
+        const soundConfig = this.audioManager.soundConfig.getSoundInfo(endingSound);
+        if (!soundConfig) {
+            return [];
+        }
+        return soundConfig.stages || [{ sound: endingSound, beatsLeft: 0 }];
+    }
+
+    /**
+     * Schedule the stages of an ending that fall on this beat
+     * beatsLeft: the countdown after this beat (0 = the final beat); interval: seconds to the next beat
+     * Sound stages are placed relative to the final beat projected at the current tempo, so an offset can
+     * put one just before or after its beat; the ones after the final beat are scheduled with it
+     */
+    scheduleBeat(endingSound, beatsLeft, beatTime, interval) {
+        // The ending was changed mid-show: the old one's layers make way
+        if (endingSound !== this.endingSound) {
+            this.stop();
+            this.endingSound = endingSound;
+        }
+
+        const finalBeatTime = beatTime + beatsLeft * interval;
+
+        this.getStages(endingSound).forEach(stage => {
+            if (stage.until !== undefined) {
+                this.scheduleLayerBeat(stage, beatsLeft, beatTime, interval);
+                return;
+            }
+
+            const time = finalBeatTime - stage.beatsLeft * interval + (stage.offset || 0);
+            const isDue = time >= beatTime && (beatsLeft === 0 || time < beatTime + interval);
+            if (isDue && !this.played.has(stage)) {
+                this.played.add(stage);
+                this.playStage(stage, time);
+            }
+        });
+    }
+
+    /**
+     * Play the stages of an ending that belong to its final beat (offset 0 or later) at a time,
+     * for an ending played without the beats leading up to it (e.g. a section's ending)
+     */
+    playFinalStages(endingSound, time) {
+        this.getStages(endingSound)
+            .filter(stage => stage.until === undefined && stage.beatsLeft === 0 && (stage.offset || 0) >= 0)
+            .forEach(stage => this.playStage(stage, time + (stage.offset || 0)));
+    }
+
+    /**
+     * Play the sound of a stage
+     */
+    playStage(stage, time) {
+        const soundConfig = this.audioManager.soundConfig.getSoundInfo(stage.sound);
+        if (!soundConfig || soundConfig.stages) {
+            console.warn(`Ending stage sound must be a plain sound: ${stage.sound}`);
+            return;
+        }
+        this.audioManager.playEndingSound(stage.sound, time);
+    }
+
+    /**
+     * Start, continue or end a layer stage on a beat
+     * A layer joins on the first beat within its range (also when the show started or was cut short
+     * past its start), rises linearly in beats when asked to and dies away on its until beat
+     */
+    scheduleLayerBeat(stage, beatsLeft, beatTime, interval) {
+        const until = Math.max(0, stage.until);
+        let layer = this.layers.get(stage);
+
+        if (!layer) {
+            if (beatsLeft > stage.beatsLeft || beatsLeft <= until) return;
+
+            layer = this.startLayer(stage, beatTime);
+            this.layers.set(stage, layer);
+        }
+
+        // A layer without a loop was played once; it only has to be forgotten on its until beat
+        if (!layer.source) {
+            if (beatsLeft <= until) {
+                this.layers.delete(stage);
+            }
+            return;
+        }
+
+        const gain = layer.output.gain;
+
+        if (beatsLeft <= until) {
+            gain.setValueAtTime(layer.level, beatTime);
+            gain.linearRampToValueAtTime(0, beatTime + this.layerRelease);
+            layer.source.stop(beatTime + this.layerRelease);
+            this.layers.delete(stage);
+            return;
+        }
+
+        // Rise towards the level the next beat should have
+        if (stage.rise) {
+            const span = Math.max(1, stage.beatsLeft - until);
+            const progress = Math.min(1, Math.max(0, (stage.beatsLeft - (beatsLeft - 1)) / span));
+            gain.linearRampToValueAtTime(layer.level * progress, beatTime + interval);
+        }
+    }
+
+    /**
+     * Start looping a layer's audio at a time; a sound without loaded audio plays once instead
+     * (its layer has no source, so it is not started again on the next beat)
+     */
+    startLayer(stage, time) {
+        const audioManager = this.audioManager;
+        const soundConfig = audioManager.soundConfig.getSoundInfo(stage.sound);
+        const buffer = audioManager.audioBuffers[stage.sound];
+        const audioBuffer = Array.isArray(buffer) ? buffer[0] : buffer;
+
+        if (!soundConfig || !audioBuffer) {
+            this.playStage(stage, time);
+            return { source: null, output: null, level: 0 };
+        }
+
+        const voice = audioManager.getSoundVoice(soundConfig);
+        const source = audioManager.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.playbackRate.value = voice.pitch;
+        source.loop = true;
+
+        const output = audioManager.createVoiceOutput(time, { gain: voice.gain, pan: voice.pan });
+        if (stage.rise) {
+            output.gain.setValueAtTime(0, time);
+        }
+        source.connect(output);
+        source.start(time);
+
+        return { source: source, output: output, level: voice.gain };
+    }
+
+    /**
+     * Fade out the layers that are playing and forget the stages played (the show stopped or the ending changed)
+     */
+    stop() {
+        const context = this.audioManager.audioContext;
+
+        this.layers.forEach(layer => {
+            if (!layer.source) return;
+            
+            const now = context.currentTime;
+            const gain = layer.output.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(0, now + 0.1);
+            layer.source.stop(now + 0.1);
+        });
+
+        this.layers.clear();
+        this.played.clear();
+        this.endingSound = null;
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Intro Configuration Module
+ * Defines the intro sequences that can lead into the countdown
+ */
+class IntroConfig {
+    constructor() {
+        // url: intro audio file
+        // offset: seconds from the start of the audio to the first visual beat
+        // visualBeats: silent beats counted down on the displays before the countdown takes over
+        // visualBpm: tempo of the visual beats
+        // handoverBpm: tempo the countdown starts at, on the beat after the last visual beat
+        //              (null: audio only, no countdown)
+        this.intros = [
+            {
+                label: 'Opening Sound 2',
+                url: './sounds/open2-halve.mp3',
+                offset: 7.2,
+                visualBeats: 31,
+                visualBpm: 60,
+                handoverBpm: 110
+            }
+        ];
+    }
+
+    /**
+     * Get intro configuration by label
+     */
+    getIntro(label) {
+        return this.intros.find(intro => intro.label === label) || null;
+    }
+}
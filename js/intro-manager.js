@@ -0,0 +1,161 @@
+/**
+ * Intro Manager Module
+ * Plays intro sequences: the intro audio, silent visual beats on the audio clock,
+ * then a handover to the countdown
+ */
+class IntroManager {
+    constructor(introConfig, audioManager, callbacks) {
+        this.introConfig = introConfig;
+        this.audioManager = audioManager;
+        this.callbacks = callbacks; // Object containing callback functions from main app
+
+        // Decoded intro audio by label (intros whose file failed to load are missing)
+        this.audioBuffers = {};
+
+        // Playback state
+        this.currentIntro = null;
+        this.audioSource = null;
+        this.isSequenceRunning = false; // Visual beats still to come (or the handover still pending)
+        this.remainingBeats = 0;
+        this.visualBeatsLeft = 0;
+        this.nextBeatTime = 0;
+        this.beatInterval = 0;
+        this.tickId = null;
+    }
+
+    /**
+     * Load the audio for every intro, in parallel
+     * onProgress(done, total) is called as each intro finishes loading
+     * Resolves with the intros that could not be loaded, in the form of AudioManager.loadAudioFiles: [{ label, fallback, error }]
+     */
+    async loadIntroAudio(onProgress = null) {
+        const intros = this.introConfig.intros;
+        const failedIntros = [];
+        let done = 0;
+        const reportProgress = () => {
+            if (onProgress) {
+                onProgress(done, intros.length);
+            }
+        };
+
+        reportProgress();
+        await Promise.all(intros.map(async intro => {
+            try {
+                this.audioBuffers[intro.label] = await this.audioManager.loadAudioBuffer(intro.url);
+                console.log(`${intro.label} intro loaded successfully`);
+            } catch (e) {
+                console.warn(`Failed to load ${intro.label} intro, its button is disabled:`, e);
+                failedIntros.push({ label: `${intro.label} intro`, fallback: null, error: e.message });
+            }
+            done++;
+            reportProgress();
+        }));
+
+        return failedIntros;
+    }
+
+    /**
+     * Check whether an intro's audio is available
+     */
+    isAvailable(label) {
+        return !!this.audioBuffers[label];
+    }
+
+    /**
+     * Check whether an intro's visual beats are running (the countdown has not taken over yet)
+     */
+    isActive() {
+        return this.isSequenceRunning;
+    }
+
+    /**
+     * Play an intro; totalBeats is the show's beat count the visual beats count down from
+     */
+    play(label, totalBeats) {
+        const intro = this.introConfig.getIntro(label);
+        if (!intro || !this.isAvailable(label)) {
+            console.warn(`Intro not available: ${label}`);
+            return false;
+        }
+
+        this.stop();
+        this.audioManager.resumeAudioContext();
+
+        const startTime = this.audioManager.getCurrentTime();
+        this.currentIntro = intro;
+        this.audioSource = this.audioManager.playAudioBuffer(this.audioBuffers[label], startTime);
+
+        // Audio-only intros have no visual beats and no countdown
+        if (intro.handoverBpm === null) {
+            return true;
+        }
+
+        this.isSequenceRunning = true;
+        this.remainingBeats = totalBeats;
+        this.visualBeatsLeft = intro.visualBeats;
+        this.beatInterval = 60 / intro.visualBpm;
+        this.nextBeatTime = startTime + intro.offset;
+
+        if (this.callbacks.onIntroStarted) {
+            this.callbacks.onIntroStarted(intro, this.remainingBeats);
+        }
+
+        this.tickId = window.schedulerClock.requestTick(() => this.sequenceLoop());
+        return true;
+    }
+
+    /**
+     * Count down the visual beats, then hand over to the countdown
+     */
+    sequenceLoop() {
+        if (!this.isSequenceRunning) return;
+
+        const currentTime = this.audioManager.getCurrentTime();
+
+        if (this.visualBeatsLeft > 0 && currentTime >= this.nextBeatTime) {
+            // NO SOUND - visual only
+            this.remainingBeats--;
+            this.visualBeatsLeft--;
+            this.nextBeatTime += this.beatInterval;
+
+            if (this.callbacks.onIntroBeat) {
+                this.callbacks.onIntroBeat(this.remainingBeats, this.currentIntro.visualBpm);
+            }
+        }
+
+        // Hand over right after the last visual beat, so the countdown can schedule its first beat on the grid
+        if (this.visualBeatsLeft <= 0) {
+            this.isSequenceRunning = false;
+            this.tickId = null;
+
+            if (this.callbacks.onIntroHandover) {
+                this.callbacks.onIntroHandover(this.currentIntro, this.remainingBeats, this.nextBeatTime);
+            }
+            return;
+        }
+
+        this.tickId = window.schedulerClock.requestTick(() => this.sequenceLoop());
+    }
+
+    /**
+     * Stop the intro audio and cancel its sequence
+     */
+    stop() {
+        if (this.audioSource) {
+            try {
+                this.audioSource.stop();
+            } catch (error) {
+                // Source might already be stopped, ignore error
+            }
+            this.audioSource = null;
+        }
+
+        if (this.tickId) {
+            window.schedulerClock.cancelTick(this.tickId);
+            this.tickId = null;
+        }
+
+        this.isSequenceRunning = false;
+        this.currentIntro = null;
+    }
+}
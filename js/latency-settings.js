@@ -0,0 +1,72 @@
+/**
+ * Latency Settings Module
+ * Keeps the calibrated output latency and visual offsets in localStorage (they belong to this
+ * controller's speakers and screens, not to a show)
+ */
+class LatencySettings {
+    constructor(storageKey = 'commotie-beat-latency') {
+        this.storageKey = storageKey;
+
+        // audioLatencyMs: null follows the audio context's reported output latency
+        // screenOffsetMs: this controller's countdown display, relative to the sound
+        // defaultDisplayOffsetMs: displays without their own offset (or without an id)
+        // displayOffsets: { displayId: ms } for displays opened with display.html?id=...
+        this.settings = Object.assign({
+            audioLatencyMs: null,
+            screenOffsetMs: 0,
+            defaultDisplayOffsetMs: 0,
+            displayOffsets: {}
+        }, this.load());
+    }
+
+    /**
+     * Load the saved settings, or an empty object if there are none (or they can't be read)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('Could not load latency settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the current settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save latency settings:', error);
+        }
+    }
+
+    /**
+     * Get the audio output latency in ms: the calibrated value, else the reported one
+     */
+    getAudioLatencyMs(reportedLatencyMs) {
+        return this.settings.audioLatencyMs !== null ? this.settings.audioLatencyMs : reportedLatencyMs;
+    }
+
+    /**
+     * Update settings (any of the fields above) and save them
+     */
+    update(changes) {
+        Object.assign(this.settings, changes);
+        this.save();
+    }
+
+    /**
+     * Set (or, with null, remove) the offset of one display
+     */
+    setDisplayOffset(displayId, offsetMs) {
+        if (offsetMs === null) {
+            delete this.settings.displayOffsets[displayId];
+        } else {
+            this.settings.displayOffsets[displayId] = offsetMs;
+        }
+        this.save();
+    }
+}
@@ -10,6 +10,18 @@ class MIDIManager {
         this.isConnected = false;
         this.statusText = 'MIDI: Disconnected';
         
+        // MIDI note mappings for tempo ramps
+        this.rampNoteMap = {
+            41: { bpm: 60, beats: 16, curve: 'linear' },  // F2 -> Ramp to 60 over 16 beats
+            42: { bpm: 110, beats: 16, curve: 'linear' }  // F#2 -> Ramp to 110 over 16 beats
+        };
+        
+        // MIDI note mappings for ambient beds (start the bed, or stop it when it is playing)
+        this.ambientNoteMap = {
+            54: 'Water Bed', // F#3 -> Water Bed
+            55: 'Dream Bed'  // G3 -> Dream Bed
+        };
+        
         this.initializeMIDI();
     }
     
@@ -99,6 +111,24 @@ class MIDIManager {
             return;
         }
         
+        const rampConfig = this.rampNoteMap[note];
+        if (rampConfig) {
+            console.log(`MIDI Note ${note} -> Ramp to ${rampConfig.bpm} BPM over ${rampConfig.beats} beats`);
+            if (this.callbacks.rampBpm) {
+                this.callbacks.rampBpm(rampConfig.bpm, { beats: rampConfig.beats, curve: rampConfig.curve });
+            }
+            return;
+        }
+        
+        const ambientSound = this.ambientNoteMap[note];
+        if (ambientSound) {
+            console.log(`MIDI Note ${note} -> Toggle ambient: ${ambientSound}`);
+            if (this.callbacks.toggleAmbient) {
+                this.callbacks.toggleAmbient(ambientSound);
+            }
+            return;
+        }
+        
         const soundConfig = this.soundConfig.getSoundByMidiNote(note);
         if (soundConfig) {
             console.log(`MIDI Note ${note} -> Sound: ${soundConfig.label}`);
@@ -127,6 +157,9 @@ class MIDIManager {
             case 21: // CC#21 -> Volume
                 this.handleVolumeControl(value);
                 break;
+            case 22: // CC#22 -> Ambient volume
+                this.handleAmbientVolumeControl(value);
+                break;
         }
     }
     
@@ -168,6 +201,23 @@ class MIDIManager {
         }
     }
     
+    /**
+     * Handle ambient volume control via MIDI CC#22
+     */
+    handleAmbientVolumeControl(value) {
+        if (value === 65) {
+            if (this.callbacks.increaseAmbientVolume) {
+                this.callbacks.increaseAmbientVolume();
+            }
+            console.log(`MIDI CC#22: Increase Ambient Volume`);
+        } else if (value === 63) {
+            if (this.callbacks.decreaseAmbientVolume) {
+                this.callbacks.decreaseAmbientVolume();
+            }
+            console.log(`MIDI CC#22: Decrease Ambient Volume`);
+        }
+    }
+    
     /**
      * Handle MIDI real-time messages
      */
@@ -0,0 +1,124 @@
+/**
+ * Scheduler Clock Module
+ * Background-safe replacement for requestAnimationFrame used by the beat schedulers.
+ * Ticks come from a Web Worker so scheduling keeps going when the tab is hidden.
+ */
+class SchedulerClock {
+    constructor(intervalMs = 25) {
+        this.intervalMs = intervalMs;
+        this.callbacks = new Map();
+        this.nextCallbackId = 1;
+        this.isTicking = false;
+
+        // Tick sources
+        this.worker = null;
+        this.fallbackInterval = null;
+
+        this.initializeWorker();
+    }
+
+    /**
+     * Create the tick worker, falling back to a main-thread interval if workers are unavailable
+     */
+    initializeWorker() {
+        try {
+            this.worker = new Worker('js/scheduler-worker.js');
+            this.worker.onmessage = () => this.tick();
+            this.worker.onerror = (error) => {
+                console.warn('Scheduler worker failed, falling back to setInterval:', error);
+                this.useFallback();
+            };
+        } catch (e) {
+            console.warn('Web Workers not available, falling back to setInterval:', e);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Switch from the worker to a main-thread interval
+     */
+    useFallback() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.isTicking) {
+            this.isTicking = false;
+            this.start();
+        }
+    }
+
+    /**
+     * Request a callback on the next tick (same contract as requestAnimationFrame)
+     */
+    requestTick(callback) {
+        const id = this.nextCallbackId++;
+        this.callbacks.set(id, callback);
+        this.start();
+        return id;
+    }
+
+    /**
+     * Cancel a pending tick callback (same contract as cancelAnimationFrame)
+     */
+    cancelTick(id) {
+        this.callbacks.delete(id);
+        if (this.callbacks.size === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Run all pending callbacks; callbacks re-request themselves to keep looping
+     */
+    tick() {
+        const pending = this.callbacks;
+        this.callbacks = new Map();
+
+        pending.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error in scheduler tick:', error);
+            }
+        });
+
+        if (this.callbacks.size === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Start ticking
+     */
+    start() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        if (this.worker) {
+            this.worker.postMessage({ command: 'start', intervalMs: this.intervalMs });
+        } else {
+            this.fallbackInterval = setInterval(() => this.tick(), this.intervalMs);
+        }
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        if (!this.isTicking) return;
+        this.isTicking = false;
+
+        if (this.worker) {
+            this.worker.postMessage({ command: 'stop' });
+        }
+        if (this.fallbackInterval) {
+            clearInterval(this.fallbackInterval);
+            this.fallbackInterval = null;
+        }
+    }
+}
+
+// Create global instance
+window.schedulerClock = new SchedulerClock();
@@ -0,0 +1,22 @@
+/**
+ * Scheduler Worker
+ * Posts a tick at a fixed interval. Timers inside a worker keep running when the
+ * controller tab is hidden, unlike requestAnimationFrame on the main thread.
+ */
+let tickInterval = null;
+
+self.onmessage = (event) => {
+    const { command, intervalMs } = event.data;
+
+    if (command === 'start') {
+        if (tickInterval) {
+            clearInterval(tickInterval);
+        }
+        tickInterval = setInterval(() => self.postMessage('tick'), intervalMs);
+    } else if (command === 'stop') {
+        if (tickInterval) {
+            clearInterval(tickInterval);
+            tickInterval = null;
+        }
+    }
+};
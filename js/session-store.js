@@ -0,0 +1,45 @@
+/**
+ * Session Store Module
+ * Keeps the live show in localStorage so a reloaded or crashed controller can resume it
+ */
+class SessionStore {
+    constructor(storageKey = 'commotie-beat-session') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Save the session (overwrites the previous one)
+     */
+    save(session) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.assign({ savedAt: Date.now() }, session)));
+        } catch (error) {
+            // Storage full or unavailable (private mode): the show runs on, it just can't be resumed
+            console.warn('Could not save session:', error);
+        }
+    }
+
+    /**
+     * Load the saved session, or null if there is none (or it can't be read)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.warn('Could not load session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the saved session (the show ended or was reset)
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear session:', error);
+        }
+    }
+}
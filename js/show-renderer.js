@@ -0,0 +1,183 @@
+/**
+ * Show Renderer Module
+ * Renders a whole show (beats, section endings and the ending sound) to an AudioBuffer through an
+ * OfflineAudioContext, using the AudioManager's scheduling code, for practice tracks
+ */
+class ShowRenderer {
+    constructor(soundConfig) {
+        this.soundConfig = soundConfig;
+    }
+
+    /**
+     * Work out when every beat and ending sound plays
+     * show: { durationSeconds, totalBeats, bpm, timeline, sound, endingSound, beatsPerBar }
+     * Without a timeline the beats are spread evenly (at bpm, or at the tempo that fits totalBeats
+     * into durationSeconds); with one the timeline's sections set beats, tempo and sounds
+     * Returns { beats: [{ time, sound, accent, beatNumber, interval }], endings: [{ time, sound }] (section
+     * endings), endingSound (the show's ending, whose stages are placed around the final beat), endTime }
+     * Throws an Error describing the first problem found
+     */
+    planShow(show) {
+        const sections = show.timeline
+            ? new ShowTimeline(this.soundConfig, {}).load(show.timeline)
+            : [this.getEvenSection(show)];
+
+        if (!sections[0].sound && !this.soundConfig.validateSoundType(show.sound, 'regular')) {
+            throw new Error(`unknown sound "${show.sound}"`);
+        }
+
+        const beats = [];
+        const endings = [];
+        let time = 0;
+        let bpm = null;
+        let tempoRamp = null;
+        let sound = show.sound;
+
+        sections.forEach((section, index) => {
+            // A section's ending plays on the first beat of the next section
+            if (index > 0 && sections[index - 1].ending) {
+                endings.push({ time: time, sound: sections[index - 1].ending });
+            }
+
+            if (section.sound) {
+                sound = section.sound;
+            }
+            if (section.bpm !== null) {
+                bpm = section.bpm;
+                tempoRamp = null;
+            }
+            if (section.ramp && (section.ramp.beats > 0 || section.ramp.seconds > 0)) {
+                tempoRamp = new TempoRamp({
+                    startBpm: bpm,
+                    targetBpm: section.ramp.to,
+                    beats: section.ramp.beats,
+                    seconds: section.ramp.seconds,
+                    curve: section.ramp.curve
+                });
+            } else if (section.ramp) {
+                bpm = section.ramp.to;
+            }
+
+            for (let i = 0; i < section.beats; i++) {
+                const beat = {
+                    time: time,
+                    sound: sound,
+                    accent: show.beatsPerBar > 0 && beats.length % show.beatsPerBar === 0,
+                    beatNumber: beats.length + 1
+                };
+                beats.push(beat);
+
+                // Move along the tempo ramp like TimerManager.advanceTempo
+                if (tempoRamp) {
+                    bpm = tempoRamp.advance(time);
+                    if (tempoRamp.isFinished) {
+                        tempoRamp = null;
+                    }
+                }
+
+                beat.interval = 60 / bpm;
+                time += beat.interval;
+            }
+        });
+
+        // The ending sound plays with the final beat; the last section's ending replaces the show's
+        const endTime = beats[beats.length - 1].time;
+        const endingSound = sections[sections.length - 1].ending || show.endingSound || null;
+
+        return { beats: beats, endings: endings, endingSound: endingSound, endTime: endTime };
+    }
+
+    /**
+     * Build the single section of a show without a timeline
+     */
+    getEvenSection(show) {
+        const totalBeats = parseInt(show.totalBeats);
+        if (!(totalBeats >= 1)) {
+            throw new Error('the show needs a positive number of beats');
+        }
+
+        const bpm = show.bpm ? Number(show.bpm) : (totalBeats * 60) / show.durationSeconds;
+        if (!window.bpmConfig.isValidBpm(bpm)) {
+            throw new Error(`the show's tempo (${Math.round(bpm)} BPM) is outside ${window.bpmConfig.MIN_BPM}-${window.bpmConfig.MAX_BPM} BPM`);
+        }
+
+        return { beats: totalBeats, bpm: bpm, ramp: null, sound: null, ending: null };
+    }
+
+    /**
+     * Render a show to a stereo AudioBuffer
+     * show is as for planShow, plus subdivision (clicks per beat) and swing (0-100%)
+     * options.sourceAudioManager reuses its decoded samples (the live app's); otherwise they are loaded
+     * options.volume is the master volume (0-100) the show is rendered at
+     */
+    async render(show, { sampleRate = 44100, volume = 100, sourceAudioManager = null } = {}) {
+        const plan = this.planShow(show);
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+        // Decoded samples are not tied to a context, so they can be loaded before the length is known
+        let samples = sourceAudioManager;
+        if (!samples) {
+            samples = new AudioManager(this.soundConfig, new OfflineContext(2, 1, sampleRate));
+            await samples.loadAudioFiles();
+        }
+
+        // Leave room for the ending sound to ring out
+        const tailSeconds = Math.max(2, this.getEndingLength(samples, plan.endingSound));
+        const context = new OfflineContext(2, Math.ceil((plan.endTime + tailSeconds) * sampleRate), sampleRate);
+
+        const audioManager = new AudioManager(this.soundConfig, context);
+        audioManager.audioBuffers = Object.assign({}, samples.audioBuffers);
+        audioManager.accentBuffers = Object.assign({}, samples.accentBuffers);
+        Object.keys(audioManager.audioBuffers).forEach(soundKey => {
+            audioManager.soundAlternationCounters[soundKey] = 0;
+        });
+        audioManager.setVolume(volume);
+
+        const subdivision = parseInt(show.subdivision) || 1;
+        const swing = Number(show.swing) || 0;
+        
+        plan.beats.forEach((beat, index) => {
+            // Like the live timer, the final beat is left to the ending sound and has no subdivisions after it
+            if (index < plan.beats.length - 1) {
+                audioManager.scheduleBeatAudio(beat.sound, beat.time, {
+                    accent: beat.accent,
+                    beatNumber: beat.beatNumber,
+                    interval: beat.interval
+                });
+                audioManager.scheduleSubdivisionsAudio(beat.time, beat.interval, subdivision, swing);
+            }
+
+            // The show's ending is handed every beat like the live timer does, so its stages land on their beats
+            if (plan.endingSound) {
+                audioManager.scheduleEndingAudio(plan.endingSound, plan.beats.length - 1 - index, beat.time, beat.interval);
+            }
+        });
+        plan.endings.forEach(ending => audioManager.playEndingSound(ending.sound, ending.time));
+
+        return context.startRendering();
+    }
+
+    /**
+     * Get how long an ending sounds after the final beat in seconds: its final-beat stages, offsets included
+     */
+    getEndingLength(audioManager, endingSound) {
+        const soundConfig = endingSound ? this.soundConfig.getSoundInfo(endingSound) : null;
+        if (!soundConfig) {
+            return 0;
+        }
+
+        const stages = soundConfig.stages || [{ sound: endingSound, beatsLeft: 0 }];
+        return Math.max(0, ...stages
+            .filter(stage => stage.until === undefined && stage.beatsLeft === 0)
+            .map(stage => (stage.offset || 0) + this.getSoundDuration(audioManager, stage.sound)));
+    }
+
+    /**
+     * Get the length of a sound's (first) sample in seconds, 0 if it has none
+     */
+    getSoundDuration(audioManager, soundKey) {
+        const buffer = audioManager.audioBuffers[soundKey];
+        const firstBuffer = Array.isArray(buffer) ? buffer[0] : buffer;
+        return firstBuffer ? firstBuffer.duration : 0;
+    }
+}
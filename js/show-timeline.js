@@ -0,0 +1,274 @@
+/**
+ * Show Timeline Module
+ * Plays a scripted list of sections (tempo, sound, optional ending) while the
+ * countdown keeps running over the whole show
+ */
+class ShowTimeline {
+    constructor(soundConfig, callbacks) {
+        this.soundConfig = soundConfig;
+        this.callbacks = callbacks; // Object containing callback functions from main app
+
+        // Resolved sections: { name, beats, bpm, ramp, sound, ending, startBeat, durationSeconds }
+        this.sections = [];
+
+        // Playback state
+        this.isActive = false;
+        this.currentIndex = -1;
+        this.sectionStartBeat = 1; // Beat number the current section started on
+        this.pendingIndex = null; // Section to enter on the next scheduled beat
+        this.pendingCompleted = false; // Whether the current section ran to its end (vs. a manual jump)
+    }
+
+    /**
+     * Load a timeline from JSON text, an array of sections or { sections: [...] }
+     * Throws an Error describing the first problem found
+     */
+    load(timeline) {
+        const parsed = typeof timeline === 'string' ? JSON.parse(timeline) : timeline;
+        const rawSections = Array.isArray(parsed) ? parsed : (parsed && parsed.sections);
+
+        if (!Array.isArray(rawSections) || rawSections.length === 0) {
+            throw new Error('the timeline needs at least one section');
+        }
+
+        const sections = [];
+        let tempo = null;
+        let startBeat = 1;
+
+        rawSections.forEach((raw, index) => {
+            const section = this.resolveSection(raw, index, tempo);
+            section.startBeat = startBeat;
+
+            sections.push(section);
+            startBeat += section.beats;
+            tempo = section.ramp ? section.ramp.to : section.bpm;
+        });
+
+        this.sections = sections;
+        this.reset();
+        return this.sections;
+    }
+
+    /**
+     * Validate one section and work out its beat count and duration
+     * Duration sections are converted to beats at the section's tempo (the midpoint of a ramp)
+     */
+    resolveSection(raw, index, previousTempo) {
+        const name = (raw && raw.name) || `Section ${index + 1}`;
+
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(`${name}: not a section object`);
+        }
+
+        const bpm = raw.bpm !== undefined ? window.bpmConfig.clampBpm(Number(raw.bpm)) : null;
+        const startTempo = bpm !== null ? bpm : previousTempo;
+
+        if (startTempo === null || isNaN(startTempo)) {
+            throw new Error(`${name}: the first section needs a bpm`);
+        }
+
+        let ramp = null;
+        if (raw.ramp) {
+            const to = Number(raw.ramp.to !== undefined ? raw.ramp.to : raw.ramp.bpm);
+            if (isNaN(to)) {
+                throw new Error(`${name}: ramp needs a target ("to")`);
+            }
+            ramp = {
+                to: window.bpmConfig.clampBpm(to),
+                beats: Math.max(0, parseInt(raw.ramp.beats) || 0),
+                seconds: Math.max(0, Number(raw.ramp.seconds) || 0),
+                curve: raw.ramp.curve === 'exponential' ? 'exponential' : 'linear'
+            };
+        }
+
+        if (raw.sound && !this.soundConfig.getSoundInfo(raw.sound)) {
+            throw new Error(`${name}: unknown sound "${raw.sound}"`);
+        }
+        if (raw.ending && !this.soundConfig.validateSoundType(raw.ending, 'end')) {
+            throw new Error(`${name}: unknown ending sound "${raw.ending}"`);
+        }
+
+        const averageTempo = ramp ? (startTempo + ramp.to) / 2 : startTempo;
+        let beats;
+        let durationSeconds;
+
+        if (raw.beats !== undefined) {
+            beats = parseInt(raw.beats);
+            durationSeconds = (beats * 60) / averageTempo;
+        } else if (raw.duration !== undefined) {
+            durationSeconds = Number(raw.duration);
+            beats = Math.round((durationSeconds * averageTempo) / 60);
+        }
+
+        if (!(beats >= 1)) {
+            throw new Error(`${name}: needs a positive "beats" or "duration" (seconds)`);
+        }
+
+        return {
+            name: name,
+            beats: beats,
+            bpm: bpm,
+            ramp: ramp,
+            sound: raw.sound || null,
+            ending: raw.ending || null,
+            durationSeconds: durationSeconds
+        };
+    }
+
+    /**
+     * Forget the loaded timeline
+     */
+    clear() {
+        this.sections = [];
+        this.reset();
+    }
+
+    /**
+     * Check whether a timeline is loaded
+     */
+    isLoaded() {
+        return this.sections.length > 0;
+    }
+
+    /**
+     * Total beats over all sections (the show's countdown)
+     */
+    getTotalBeats() {
+        return this.sections.reduce((total, section) => total + section.beats, 0);
+    }
+
+    /**
+     * Total duration over all sections, in seconds
+     */
+    getTotalDurationSeconds() {
+        return this.sections.reduce((total, section) => total + section.durationSeconds, 0);
+    }
+
+    /**
+     * Start playing from the first section; it is entered on the first scheduled beat
+     */
+    start() {
+        this.reset();
+        this.isActive = this.isLoaded();
+        this.pendingIndex = this.isActive ? 0 : null;
+    }
+
+    /**
+     * Stop following the timeline (sections stay loaded)
+     */
+    reset() {
+        this.isActive = false;
+        this.currentIndex = -1;
+        this.sectionStartBeat = 1;
+        this.pendingIndex = null;
+        this.pendingCompleted = false;
+    }
+
+    /**
+     * Snapshot of the timeline and where it is for session persistence, or null when none is followed
+     */
+    getSessionState() {
+        if (!this.isActive) return null;
+
+        return {
+            sections: this.sections,
+            currentIndex: this.currentIndex,
+            sectionStartBeat: this.sectionStartBeat,
+            pendingIndex: this.pendingIndex,
+            pendingCompleted: this.pendingCompleted
+        };
+    }
+
+    /**
+     * Follow a saved timeline again where it was; once the show resumes, sections it got past
+     * while the app was down are entered on the next beats
+     */
+    restoreSession(state) {
+        this.sections = state.sections;
+        this.isActive = this.isLoaded();
+        this.currentIndex = state.currentIndex;
+        this.sectionStartBeat = state.sectionStartBeat;
+        this.pendingIndex = state.pendingIndex;
+        this.pendingCompleted = state.pendingCompleted;
+    }
+
+    /**
+     * Called by the beat scheduler before each beat is scheduled
+     * Enters the next section when the current one has played all its beats
+     */
+    onBeatScheduling(beatNumber, beatTime) {
+        if (!this.isActive) return;
+
+        if (this.pendingIndex === null && this.currentIndex >= 0) {
+            const section = this.sections[this.currentIndex];
+            const isLastSection = this.currentIndex === this.sections.length - 1;
+
+            // The last section keeps going until the countdown runs out
+            if (!isLastSection && beatNumber >= this.sectionStartBeat + section.beats) {
+                this.pendingIndex = this.currentIndex + 1;
+                this.pendingCompleted = true;
+            }
+        }
+
+        if (this.pendingIndex !== null) {
+            this.enterSection(this.pendingIndex, beatNumber, beatTime, this.pendingCompleted);
+        }
+    }
+
+    /**
+     * Switch to a section at a beat
+     */
+    enterSection(index, beatNumber, beatTime, completed) {
+        const previousIndex = this.currentIndex;
+
+        this.currentIndex = index;
+        this.sectionStartBeat = beatNumber;
+        this.pendingIndex = null;
+        this.pendingCompleted = false;
+
+        if (previousIndex >= 0 && this.callbacks.onSectionEnd) {
+            this.callbacks.onSectionEnd(this.sections[previousIndex], previousIndex, beatTime, completed);
+        }
+
+        if (this.callbacks.onSectionStart) {
+            this.callbacks.onSectionStart(this.sections[index], index, beatTime);
+        }
+    }
+
+    /**
+     * Jump to the next section on the next beat
+     */
+    nextSection() {
+        return this.jumpBy(1);
+    }
+
+    /**
+     * Jump back to the previous section on the next beat
+     */
+    previousSection() {
+        return this.jumpBy(-1);
+    }
+
+    /**
+     * Queue a manual jump relative to the current (or already queued) section
+     */
+    jumpBy(offset) {
+        if (!this.isActive) return false;
+
+        const fromIndex = this.pendingIndex !== null ? this.pendingIndex : this.currentIndex;
+        const targetIndex = Math.max(0, Math.min(this.sections.length - 1, fromIndex + offset));
+
+        if (targetIndex === fromIndex) return false;
+
+        this.pendingIndex = targetIndex;
+        this.pendingCompleted = false;
+        return true;
+    }
+
+    /**
+     * Get the section currently playing, or null
+     */
+    getCurrentSection() {
+        return this.currentIndex >= 0 ? this.sections[this.currentIndex] : null;
+    }
+}
@@ -1,55 +1,85 @@
 /**
  * Sound Configuration Module
  * Defines all available sounds and their properties
+ * Optional accentUrl, accentGain and accentPitch shape the downbeat of each bar
+ * Optional per-sound voice: gain (trim, 1 = as is), pitch (playback rate / frequency multiplier),
+ * pan (-1 left .. 1 right), fadeIn and fadeOut (seconds)
+ * Generated sounds use synth: the name of a synth preset, or synth parameters (see synthParameters)
+ * Loop sounds declare loop: { bpm, beats }, the recorded tempo and length in beats of each file; they play
+ * continuously, locked to the beat grid and rate-adjusted to the current BPM
+ * Sounds with audio files can name a fallback (a synth preset or parameters) that plays when the files can't be loaded
+ * Ambient sounds (type: 'ambient') are beds that loop under the beat on their own channel until stopped; optional
+ * loopStart and loopEnd (seconds) trim the loop, e.g. the silence MP3 encoders add around a file
+ * Ending sounds can be sequences of stages around the final beat instead of one sound: each stage plays a
+ * sound on beatsLeft (0 = the final beat), moved by offset seconds; a stage with until is a layer that loops
+ * from beatsLeft to until (rise: fades up from silence over those beats). Stage sounds are plain sounds
  */
 class SoundConfig {
     constructor() {
         this.sounds = [
             {
-                generator: 'scheduleKickDrumAudio',
+                synth: 'Kick',
                 label: 'Thump'
             },
             {
                 urls: ['./sounds/drumloop1.mp3', './sounds/drumloop2.mp3'],
-                label: 'Opening Loop'
+                label: 'Opening Loop',
+                loop: { bpm: 110, beats: 1 },
+                fallback: 'Kick'
             },
             {
                 url: './sounds/kickdrum.wav',
-                label: 'Kick Drum'
+                label: 'Kick Drum',
+                fallback: 'Kick'
             },
             {
                 url: './sounds/dream.wav',
-                label: 'Dreamy'
+                label: 'Dreamy',
+                fallback: 'Bell'
             },
             {
-                generator: 'scheduleHeartbeatAudio',
+                synth: 'Heartbeat',
                 label: 'Heart Beat'
             },
             {
                 urls: ['./sounds/clock1.wav', './sounds/clock2.wav'],
-                label: 'Clock'
+                label: 'Clock',
+                fallback: 'Clock Tick'
             },
             {
                 url: './sounds/metronome.wav',
-                label: 'Metronome'
+                label: 'Metronome',
+                fallback: 'Clock Tick'
             },
             {
                 url: './sounds/water.mp3',
-                label: 'Water Drop'
+                label: 'Water Drop',
+                fallback: 'Bell'
             },
             {
-                generator: 'scheduleBellAudio',
+                synth: 'Bell',
                 label: 'Alarm'
             },
             {
                 url: './sounds/boom.mp3',
                 label: 'Boom',
-                type: 'end'
+                type: 'end',
+                fallback: 'Kick'
             },
             {
                 label: 'Silent',
                 type: 'end'
             },
+            {
+                label: 'Boom Finale',
+                type: 'end',
+                stages: [
+                    { sound: 'Alarm', beatsLeft: 10 },                       // Warning
+                    { sound: 'Dreamy', beatsLeft: 8, until: 0, rise: true }, // Tension rising over the last 8 beats
+                    { sound: 'Boom', beatsLeft: 0 },
+                    { sound: 'Water Drop', beatsLeft: 0, offset: 1.5 }       // Tail
+                ]
+            },
             {
                 url: './sounds/oneshot1.mp3',
                 label: 'Extra Suggestie',
@@ -81,13 +111,23 @@ class SoundConfig {
                 type: 'oneshot'
             },
             {
-                generator: 'scheduleKickDrumAudio',
+                url: './sounds/water.mp3',
+                label: 'Water Bed',
+                type: 'ambient'
+            },
+            {
+                url: './sounds/dream.wav',
+                label: 'Dream Bed',
+                type: 'ambient'
+            },
+            {
+                synth: 'Kick',
                 label: 'Thump 50',
                 type: 'combo',
                 bpm: 50
             },
             {
-                generator: 'scheduleHeartbeatAudio',
+                synth: 'Heartbeat',
                 label: 'Heartbeat 50',
                 type: 'combo',
                 bpm: 50
@@ -96,16 +136,106 @@ class SoundConfig {
                 urls: ['./sounds/clock1.wav', './sounds/clock2.wav'],
                 label: 'Clock 60',
                 type: 'combo',
+                fallback: 'Clock Tick',
                 bpm: 60
             },
             {
                 urls: ['./sounds/drumloop1.mp3', './sounds/drumloop2.mp3'],
                 label: 'Opening Loop 110',
+                loop: { bpm: 110, beats: 1 },
                 type: 'combo',
+                fallback: 'Kick',
                 bpm: 110
+            },
+            {
+                urls: ['./sounds/drumloop1.mp3', './sounds/drumloop2.mp3'],
+                label: 'Opening Loop Ramp 110',
+                sound: 'Opening Loop',
+                loop: { bpm: 110, beats: 1 },
+                type: 'combo',
+                fallback: 'Kick',
+                bpm: 110,
+                ramp: { beats: 16, curve: 'linear' }
             }
         ];
         
+        // Subdivision clicks played between main beats (keyed by clicks per beat)
+        // Quiet high clicks; the middle click of even subdivisions is slightly stronger
+        this.subdivisions = {
+            2: { label: 'Eighths', frequency: 1800, gain: 0.25 },
+            3: { label: 'Triplets', frequency: 1500, gain: 0.25 },
+            4: { label: 'Sixteenths', frequency: 2200, gain: 0.18 }
+        };
+        
+        // Parametric synth voice: oscillator with pitch sweep, noise layer, filter (with sweep) and ADSR
+        // envelope. Sweeps are exponential; noise mixes white noise in (0 = oscillator only, 1 = noise only);
+        // sustain is a fraction of level, held for hold seconds. delay offsets a layer within a preset
+        this.synthParameters = [
+            { key: 'waveform', label: 'Waveform', options: ['sine', 'triangle', 'square', 'sawtooth'] },
+            { key: 'frequency', label: 'Pitch (Hz)', min: 20, max: 8000, step: 1 },
+            { key: 'sweepTo', label: 'Sweep to (Hz)', min: 20, max: 8000, step: 1 },
+            { key: 'sweepTime', label: 'Sweep time (s)', min: 0.001, max: 2, step: 0.001 },
+            { key: 'noise', label: 'Noise', min: 0, max: 1, step: 0.05 },
+            { key: 'filterType', label: 'Filter', options: ['none', 'lowpass', 'highpass', 'bandpass'] },
+            { key: 'filterFrequency', label: 'Cutoff (Hz)', min: 20, max: 18000, step: 1 },
+            { key: 'filterTo', label: 'Cutoff to (Hz)', min: 20, max: 18000, step: 1 },
+            { key: 'filterTime', label: 'Cutoff time (s)', min: 0.001, max: 2, step: 0.001 },
+            { key: 'filterQ', label: 'Resonance (Q)', min: 0.1, max: 30, step: 0.1 },
+            { key: 'attack', label: 'Attack (s)', min: 0.001, max: 1, step: 0.001 },
+            { key: 'decay', label: 'Decay (s)', min: 0.01, max: 3, step: 0.01 },
+            { key: 'sustain', label: 'Sustain', min: 0, max: 1, step: 0.05 },
+            { key: 'hold', label: 'Hold (s)', min: 0, max: 3, step: 0.01 },
+            { key: 'release', label: 'Release (s)', min: 0, max: 3, step: 0.01 },
+            { key: 'level', label: 'Level', min: 0.05, max: 3, step: 0.05 }
+        ];
+        
+        // Values for parameters a synth voice leaves out
+        this.synthDefaults = {
+            waveform: 'sine',
+            frequency: 220,
+            sweepTo: null, // No pitch sweep
+            sweepTime: 0.1,
+            noise: 0,
+            filterType: 'none',
+            filterFrequency: 1000,
+            filterTo: null, // No cutoff sweep
+            filterTime: 0.1,
+            filterQ: 1,
+            attack: 0.01,
+            decay: 0.3,
+            sustain: 0,
+            hold: 0,
+            release: 0,
+            level: 1,
+            delay: 0
+        };
+        
+        // Synth presets (the former built-in generators); a preset is a list of layers
+        this.synthPresets = {
+            'Kick': [
+                { frequency: 80, sweepTo: 20, sweepTime: 0.1, filterType: 'lowpass', filterFrequency: 200, filterTo: 50, filterTime: 0.1, attack: 0.01, decay: 0.29 }
+            ],
+            'Heartbeat': [
+                { frequency: 60, sweepTo: 15, sweepTime: 0.15, filterType: 'lowpass', filterFrequency: 150, filterTo: 40, filterTime: 0.15, attack: 0.02, decay: 0.38, level: 2 },
+                { frequency: 70, sweepTo: 20, sweepTime: 0.15, filterType: 'lowpass', filterFrequency: 180, filterTo: 50, filterTime: 0.15, attack: 0.02, decay: 0.33, level: 1.5, delay: 0.125 }
+            ],
+            'Clock Tick': [
+                { frequency: 3000, sweepTo: 1000, sweepTime: 0.05, filterType: 'highpass', filterFrequency: 2000, filterTo: 800, filterTime: 0.05, attack: 0.005, decay: 0.095, level: 0.6 }
+            ],
+            'Bell': [
+                { frequency: 800, filterType: 'lowpass', filterFrequency: 3000, filterTo: 1000, filterTime: 0.5, attack: 0.02, decay: 0.98, level: 0.4 }
+            ]
+        };
+        
+        // Ducking of the beats while a oneshot plays: amount in dB (0 = off), attack and release in seconds
+        this.ducking = { amount: 12, attack: 0.15, release: 0.8 };
+        
+        // Ambient bed channel: volume (0-100) and the fades (seconds) when a bed starts and stops
+        this.ambient = { volume: 60, fadeIn: 2, fadeOut: 3 };
+        
+        // Count-in click played before the first beat (the first click uses accentFrequency)
+        this.countIn = { frequency: 1000, accentFrequency: 1500, gain: 0.6 };
+        
         // MIDI note mappings for sound selection
         this.midiNoteMap = {
             44: 0, // G#2 -> Thump
@@ -136,10 +266,10 @@ class SoundConfig {
     }
     
     /**
-     * Get regular sounds (not ending sounds)
+     * Get regular sounds (not ending or ambient sounds)
      */
     getRegularSounds() {
-        return this.sounds.filter(sound => sound.type !== 'end');
+        return this.sounds.filter(sound => sound.type !== 'end' && sound.type !== 'ambient');
     }
     
     /**
@@ -156,6 +286,13 @@ class SoundConfig {
         return this.sounds.filter(sound => sound.type === 'oneshot');
     }
     
+    /**
+     * Get ambient sounds only (looping beds)
+     */
+    getAmbientSounds() {
+        return this.sounds.filter(sound => sound.type === 'ambient');
+    }
+    
     /**
      * Get combo sounds only (sound + BPM combinations)
      */
@@ -163,6 +300,13 @@ class SoundConfig {
         return this.sounds.filter(sound => sound.type === 'combo');
     }
     
+    /**
+     * Get the subdivision click settings for a number of clicks per beat
+     */
+    getSubdivisionInfo(subdivision) {
+        return this.subdivisions[subdivision] || null;
+    }
+    
     /**
      * Get sound by MIDI note
      */
@@ -192,18 +336,96 @@ class SoundConfig {
         }
         
         if (expectedType === 'regular') {
-            return soundConfig.type !== 'end' && soundConfig.type !== 'oneshot';
+            return soundConfig.type !== 'end' && soundConfig.type !== 'oneshot' && soundConfig.type !== 'ambient';
         }
         
         if (expectedType === 'oneshot') {
             return soundConfig.type === 'oneshot';
         }
         
+        if (expectedType === 'ambient') {
+            return soundConfig.type === 'ambient';
+        }
+        
         if (expectedType === 'combo') {
             return soundConfig.type === 'combo';
         }
         
         return false;
     }
+
+    /**
+     * Get the layers of a synth (a preset name, one voice or a list of voices), completed with the defaults
+     */
+    getSynthLayers(synth) {
+        const layers = typeof synth === 'string' ? this.synthPresets[synth] : synth;
+        if (!layers) {
+            return [];
+        }
+        return [].concat(layers).map(layer => Object.assign({}, this.synthDefaults, layer));
+    }
     
+    /**
+     * Get sounds imported in the browser
+     */
+    getCustomSounds() {
+        return this.sounds.filter(sound => sound.custom);
+    }
+
+    /**
+     * Check a custom sound before importing it; throws an Error describing the problem
+     */
+    validateCustomSound({ label, type, bpm }) {
+        if (!label || !label.trim()) {
+            throw new Error('a label is required');
+        }
+        if (this.getSoundInfo(label.trim())) {
+            throw new Error(`there is already a sound called "${label.trim()}"`);
+        }
+        if (!['regular', 'end', 'oneshot', 'combo', 'ambient'].includes(type)) {
+            throw new Error(`unknown sound type "${type}"`);
+        }
+        if (type === 'combo' && !(bpm >= 15 && bpm <= 300)) {
+            throw new Error('a combo needs a BPM between 15 and 300');
+        }
+    }
+
+    /**
+     * Add a custom sound (an audio file url or synth parameters); appended so the MIDI note
+     * mappings keep pointing at the built-ins
+     */
+    addCustomSound({ label, type, bpm, url = null, synth = null, libraryId = null }) {
+        const sound = { label: label.trim(), custom: true, libraryId };
+        if (url) {
+            sound.url = url;
+        } else {
+            sound.synth = synth;
+        }
+
+        // Regular sounds have no type
+        if (type !== 'regular') {
+            sound.type = type;
+        }
+
+        // A custom combo plays its own audio as the beat sound
+        if (type === 'combo') {
+            sound.sound = sound.label;
+            sound.bpm = bpm;
+        }
+
+        this.sounds.push(sound);
+        return sound;
+    }
+
+    /**
+     * Remove a custom sound by label
+     */
+    removeCustomSound(label) {
+        const index = this.sounds.findIndex(sound => sound.custom && sound.label === label);
+        if (index === -1) {
+            return null;
+        }
+        return this.sounds.splice(index, 1)[0];
+    }
+
 }
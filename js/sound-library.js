@@ -0,0 +1,69 @@
+/**
+ * Sound Library Module
+ * Stores sounds added in the browser (imported audio files and saved synth sounds) in IndexedDB
+ */
+class SoundLibrary {
+    constructor(databaseName = 'commotie-beat-sounds') {
+        this.databaseName = databaseName;
+        this.storeName = 'sounds';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the sound store and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all stored sounds: { id, label, type, bpm, fileName, blob } or, for synth sounds, { id, label, type, synth }
+     */
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    /**
+     * Store a sound, resolving with its id
+     */
+    add(sound) {
+        return this.request('readwrite', store => store.add(sound));
+    }
+
+    /**
+     * Delete a stored sound
+     */
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
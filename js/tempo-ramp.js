@@ -0,0 +1,48 @@
+/**
+ * Tempo Ramp Module
+ * A gradual tempo change (accelerando/ritardando) over a number of beats or seconds, advanced beat by beat;
+ * the live timer and the practice track renderer both follow it
+ */
+class TempoRamp {
+    constructor({ startBpm, targetBpm, beats = 0, seconds = 0, curve = 'linear' }) {
+        this.startBpm = startBpm;
+        this.targetBpm = targetBpm;
+        this.beats = beats;
+        this.seconds = beats > 0 ? 0 : seconds;
+        this.curve = curve;
+        this.beatsElapsed = 0;
+        this.startTime = null; // Set when the first ramped beat is scheduled
+        this.isFinished = false;
+    }
+
+    /**
+     * Move along the ramp for the beat at beatTime (audio clock seconds)
+     * Returns the BPM for the interval after that beat; isFinished is set once the target is reached
+     */
+    advance(beatTime) {
+        if (this.startTime === null) {
+            this.startTime = beatTime;
+        }
+        this.beatsElapsed++;
+
+        const progress = this.beats > 0
+            ? this.beatsElapsed / this.beats
+            : (beatTime - this.startTime) / this.seconds;
+
+        if (progress >= 1) {
+            this.isFinished = true;
+            return this.targetBpm;
+        }
+        return this.getBpm(progress);
+    }
+
+    /**
+     * Calculate the BPM at a given progress (0-1) along the ramp
+     */
+    getBpm(progress) {
+        if (this.curve === 'exponential') {
+            return this.startBpm * Math.pow(this.targetBpm / this.startBpm, progress);
+        }
+        return this.startBpm + (this.targetBpm - this.startBpm) * progress;
+    }
+}
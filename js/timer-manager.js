@@ -7,17 +7,20 @@ class TimerManager {
         this.audioManager = audioManager;
         this.callbacks = callbacks; // Object containing callback functions from main app
         this.getCurrentSound = null; // Function to get current sound from UI manager
+        this.getCurrentEndingSound = null; // Function to get current ending sound from UI manager
         
         // Timer state
         this.countdown = 0;
         this.originalCountdown = 0;
         this.targetDurationMinutes = 30;
+        this.endTime = null; // Wall-clock (Date.now()) time the show must end at, null when running a duration
         this.remainingTimeSeconds = 0;
         this.bpm = 120;
+        this.baseBpm = 120; // Operator's chosen tempo (auto-tempo drifts around it)
         this.isRunning = false;
         
         // MIDI-like scheduling system
-        this.animationFrameId = null;
+        this.schedulerTickId = null;
         this.scheduledBeats = [];
         this.scheduledVisualBeats = []; // Separate queue for visual countdown updates
         this.nextBeatTime = 0;
@@ -25,12 +28,52 @@ class TimerManager {
         this.lastScheduledBeat = 0;
         this.lookaheadTime = 0.2; // Schedule beats ahead (seconds)
         
-        // Timer interval for countdown display
-        this.timerInterval = null;
+        // Latency compensation: beats are shown when they are heard, not when the audio clock passes them
+        this.visualDelay = 0; // Seconds after a beat that this screen shows it (output latency + screen offset)
+        this.displayTargets = [{ displayId: null, delay: 0 }]; // Seconds after a beat that each display is sent it
+        this.scheduledDisplayBeats = []; // Beats still to be sent to (some of) the displays
+        this.recentBeatTimes = []; // Audio clock times of the last beats, for tap calibration
+        
+        // Last beat shown (for session persistence): its beat number and audio clock time
+        this.lastBeatNumber = 0;
+        this.lastBeatTime = null;
+        
+        // Meter: beats per bar (0 = no meter, every beat the same)
+        this.beatsPerBar = 0;
+        this.beatUnit = 4;
+        this.barStartBeat = 1; // Beat number that starts the bar count (a meter change starts a fresh bar)
+        
+        // Subdivisions: clicks per main beat (1 = none) and swing (0 = straight, 100 = full triplet feel)
+        this.subdivision = 1;
+        this.swing = 0;
+        
+        // Count-in: clicks before the first beat that take no beats and no time from the show
+        this.isCountingIn = false;
+        this.pendingCountInBeats = []; // Count-in clicks not yet scheduled on the audio clock
+        this.scheduledCountInBeats = []; // Scheduled count-in clicks waiting for their visual update
+        
+        // Tempo ramp (accelerando/ritardando), null when no ramp is active
+        this.tempoRamp = null;
+        
+        // Auto-tempo: keep steering the BPM so the last beat lands when the time runs out
+        this.autoTempo = {
+            enabled: false,
+            maxDeviationPercent: 15, // How far from the operator's tempo it may drift
+            maxChangePerBeat: 1 // How fast it may drift (BPM per beat)
+        };
+        
+        // Countdown clock: remaining time is derived from a deadline instead of decremented
+        this.deadline = null; // performance.now() timestamp (ms) when the time runs out, null while the clock is stopped
+        this.timerInterval = null; // Refreshes the countdown display
+        this.timerRefreshMs = 200;
         
         // Disable timer state
         this.isDisabled = false;
         this.disableTimeout = null;
+        this.freezeClockWhenDisabled = false; // Per-show: also freeze the countdown clock during Pause and Disable
+        
+        // Hold state (beats and countdown clock both frozen)
+        this.isHeld = false;
         
         // Completion state
         this.isCompleted = false;
@@ -38,15 +81,25 @@ class TimerManager {
     
     /**
      * Start the countdown timer
+     * Options: freezeClockWhenDisabled, endTime, startTime (audio clock time of the first beat, e.g. after an intro),
+     * countInBeats (clicks at the starting BPM before the first beat; the clock starts on the first beat)
      */
-    startCountdown(targetDurationMinutes, initialBpm, selectedSound, totalBeats) {
+    startCountdown(targetDurationMinutes, initialBpm, selectedSound, totalBeats, options = {}) {
         this.targetDurationMinutes = targetDurationMinutes;
+        this.endTime = options.endTime || null;
+        this.freezeClockWhenDisabled = !!options.freezeClockWhenDisabled;
         this.remainingTimeSeconds = targetDurationMinutes * 60;
         this.bpm = initialBpm;
+        this.baseBpm = initialBpm;
+        this.setTempoRamp(null);
         
         // Use the provided total beats directly
         this.countdown = totalBeats;
         this.originalCountdown = this.countdown;
+        this.barStartBeat = 1;
+        this.lastBeatNumber = 0;
+        this.lastBeatTime = null;
+        this.recentBeatTimes = [];
         
         this.isRunning = true;
         this.isCompleted = false;
@@ -55,8 +108,13 @@ class TimerManager {
         this.audioManager.resumeAudioContext();
         
         // Start the timer systems
-        this.startTimer(selectedSound);
-        this.startCountdownTimer();
+        const countInBeats = Math.max(0, parseInt(options.countInBeats) || 0);
+        if (countInBeats > 0) {
+            this.startCountIn(selectedSound, countInBeats, options.startTime);
+        } else {
+            this.startTimer(selectedSound, options.startTime);
+            this.startCountdownTimer();
+        }
         
         // Notify UI
         if (this.callbacks.onCountdownStarted) {
@@ -68,25 +126,77 @@ class TimerManager {
      * Calculate required beats based on duration and BPM
      */
     calculateRequiredBeats() {
-        return Math.ceil((this.remainingTimeSeconds * this.bpm) / 60);
+        return Math.ceil((this.updateRemainingTime() * this.bpm) / 60);
     }
     
     /**
-     * Start the beat timing system
+     * Start the beat timing system (the first beat plays now, or at startTime if that is still ahead)
      */
-    startTimer(selectedSound) {
+    startTimer(selectedSound, startTime = null) {
         // Calculate beat interval in seconds
         this.beatInterval = 60 / this.bpm;
-        this.startTime = this.audioManager.getCurrentTime();
+        const currentTime = this.audioManager.getCurrentTime();
+        this.startTime = startTime !== null ? Math.max(startTime, currentTime) : currentTime;
         this.nextBeatTime = this.startTime;
         this.lastScheduledBeat = 0;
         
+        // Beats left over from a stopped show must not show up in this one
+        this.scheduledBeats = [];
+        this.scheduledVisualBeats = [];
+        this.scheduledDisplayBeats = [];
+        
         // Start the MIDI-like scheduling loop
+        this.scheduleCountIn();
         this.scheduleBeats(selectedSound);
-        this.animationFrameId = requestAnimationFrame(() => this.schedulerLoop(selectedSound));
+        this.schedulerTickId = window.schedulerClock.requestTick(() => this.schedulerLoop(selectedSound));
+    }
+    
+    /**
+     * Start with a count-in: clicks at the starting BPM, then the first beat on the next click
+     */
+    startCountIn(selectedSound, countInBeats, startTime = null) {
+        const interval = 60 / this.bpm;
+        const currentTime = this.audioManager.getCurrentTime();
+        const firstClickTime = startTime !== null ? Math.max(startTime, currentTime) : currentTime;
+        
+        this.isCountingIn = true;
+        this.pendingCountInBeats = [];
+        this.scheduledCountInBeats = [];
+        for (let index = 0; index < countInBeats; index++) {
+            this.pendingCountInBeats.push({
+                time: firstClickTime + index * interval,
+                count: countInBeats - index,
+                isFirst: index === 0
+            });
+        }
         
-        // Trigger first beat animation immediately
-        this.triggerBeatAnimation();
+        // The countdown clock starts on the first beat (see schedulerLoop)
+        this.startTimer(selectedSound, firstClickTime + countInBeats * interval);
+    }
+    
+    /**
+     * Schedule count-in clicks ahead of time
+     */
+    scheduleCountIn() {
+        const scheduleEndTime = this.audioManager.getCurrentTime() + this.lookaheadTime;
+        
+        while (this.pendingCountInBeats.length > 0 && this.pendingCountInBeats[0].time < scheduleEndTime) {
+            const countInBeat = this.pendingCountInBeats.shift();
+            this.audioManager.scheduleCountInAudio(countInBeat.time, countInBeat.isFirst);
+            this.scheduledCountInBeats.push(countInBeat);
+        }
+    }
+    
+    /**
+     * Drop the rest of the count-in (stop, pause, disable or hold)
+     */
+    cancelCountIn() {
+        if (!this.isCountingIn) return;
+        
+        this.isCountingIn = false;
+        this.pendingCountInBeats = [];
+        this.scheduledCountInBeats = [];
+        this.updateCountIn(null);
     }
     
     /**
@@ -96,32 +206,66 @@ class TimerManager {
         const currentTime = this.audioManager.getCurrentTime();
         const scheduleEndTime = currentTime + this.lookaheadTime;
         
-        // Get current sound from UI manager if available, otherwise use passed parameter
-        const currentSound = this.getCurrentSound ? this.getCurrentSound() : selectedSound;
-        
         // Schedule beats up to the lookahead time
         while (this.nextBeatTime < scheduleEndTime && this.countdown > 0) {
             const beatNumber = this.originalCountdown - this.countdown + 1;
             
-            // Schedule visual countdown for every beat
+            // Let a show timeline switch section (tempo, sound) before this beat is scheduled
+            if (this.callbacks.onBeatScheduling) {
+                this.callbacks.onBeatScheduling(beatNumber, this.nextBeatTime);
+            }
+            
+            // Get current sound from UI manager if available, otherwise use passed parameter
+            const currentSound = this.getCurrentSound ? this.getCurrentSound() : selectedSound;
+            const currentEndingSound = this.getCurrentEndingSound ? this.getCurrentEndingSound() : 'Silent';
+            const beatInBar = this.getBeatInBar(beatNumber);
+            
+            // Schedule visual countdown for every beat (shown as the countdown after this beat, worked out
+            // when it is shown so edits made while it is queued count)
             this.scheduledVisualBeats.push({
                 time: this.nextBeatTime,
-                beatNumber: beatNumber
+                beatNumber: beatNumber,
+                beatInBar: beatInBar
+            });
+            
+            // Each display gets the beat at its own offset
+            this.scheduledDisplayBeats.push({
+                time: this.nextBeatTime,
+                beatNumber: beatNumber,
+                beatInBar: beatInBar,
+                targets: this.displayTargets.slice()
             });
             
+            this.recentBeatTimes.push(this.nextBeatTime);
+            if (this.recentBeatTimes.length > 8) {
+                this.recentBeatTimes.shift();
+            }
+            
             // Schedule audio for every beat
             this.scheduledBeats.push({
                 time: this.nextBeatTime,
                 beatNumber: beatNumber
             });
             
+            const interval = this.advanceTempo(this.nextBeatTime);
+            
+            // The ending's stages land on their beats: the ending sound on the final beat, warnings and layers before it
+            this.audioManager.scheduleEndingAudio(currentEndingSound, this.countdown - 1, this.nextBeatTime, interval);
+            
             // Only schedule audio if this is not the final beat (countdown > 0 after decrement)
             // The final beat (countdown 0) should not play the selected sound since ending sound will play
             if (this.countdown > 1) {
-                this.audioManager.scheduleBeatAudio(currentSound, this.nextBeatTime);
+                this.audioManager.scheduleBeatAudio(currentSound, this.nextBeatTime, {
+                    accent: beatInBar === 1,
+                    beatNumber: beatNumber,
+                    interval: interval
+                });
+                
+                // Subdivisions fill the gap up to the next beat; they never touch the countdown
+                this.scheduleSubdivisions(this.nextBeatTime, interval);
             }
             
-            this.nextBeatTime += this.beatInterval;
+            this.nextBeatTime += interval;
             this.countdown--;
             
             // Only break after scheduling the final beat (countdown 0)
@@ -132,6 +276,13 @@ class TimerManager {
     }
     
     
+    /**
+     * Schedule subdivision clicks between a beat and the next one
+     */
+    scheduleSubdivisions(beatTime, interval) {
+        this.audioManager.scheduleSubdivisionsAudio(beatTime, interval, this.subdivision, this.swing);
+    }
+    
     /**
      * Main scheduling loop
      */
@@ -140,11 +291,26 @@ class TimerManager {
         
         const currentTime = this.audioManager.getCurrentTime();
         
-        // Check for visual countdown beats (every beat interval)
-        while (this.scheduledVisualBeats.length > 0 && this.scheduledVisualBeats[0].time <= currentTime) {
+        // Count-in clicks show "4-3-2-1"; the show (and its clock) starts on the first beat
+        while (this.scheduledCountInBeats.length > 0 && this.scheduledCountInBeats[0].time + this.visualDelay <= currentTime) {
+            this.updateCountIn(this.scheduledCountInBeats.shift().count);
+        }
+        if (this.isCountingIn && currentTime >= this.startTime) {
+            this.isCountingIn = false;
+            this.updateCountIn(null);
+            this.startCountdownTimer();
+        }
+        
+        // Check for visual countdown beats (every beat interval), once they are heard
+        while (this.scheduledVisualBeats.length > 0 && this.scheduledVisualBeats[0].time + this.visualDelay <= currentTime) {
             const visualBeat = this.scheduledVisualBeats.shift();
-            this.updateDisplay();
+            this.lastBeatNumber = visualBeat.beatNumber;
+            this.lastBeatTime = visualBeat.time;
+            this.updateBeatInBar(visualBeat.beatInBar);
+            this.updateDisplay(this.getCountdownAfter(visualBeat.beatNumber), true);
+            this.triggerBeatAnimation();
         }
+        this.sendDisplayBeats(currentTime);
         
         // Check for audio beats (only beats that match frequency)
         while (this.scheduledBeats.length > 0 && this.scheduledBeats[0].time <= currentTime) {
@@ -154,66 +320,165 @@ class TimerManager {
             if (timingError > 0.01) { // Log if timing error is > 10ms
                 console.log(`Timing error: ${(timingError * 1000).toFixed(2)}ms`);
             }
-            this.triggerBeatAnimation();
             
-            // Check if this was the final beat (beat number equals original countdown)
+            // The show is complete once the final beat (beat number equals original countdown) has played;
+            // its ending was scheduled with it
             if (audioBeat.beatNumber === this.originalCountdown && !this.isCompleted) {
                 this.isCompleted = true;
-                this.stopCountdown();
-                this.showCompletion();
-                return;
             }
         }
         
         // Check if we're done (only after all scheduled beats are processed)
         // Only check this if we haven't already completed via the beat number check above
-        if (this.countdown < 0 && this.isRunning && !this.isCompleted) {
+        if (this.countdown < 0 && !this.isCompleted) {
             this.isCompleted = true;
+        }
+        
+        // The show completes once the final beat has been shown here and sent to every display
+        if (this.isCompleted && this.scheduledVisualBeats.length === 0 && this.scheduledDisplayBeats.length === 0) {
             this.stopCountdown();
             this.showCompletion();
             return;
         }
         
         // Schedule more beats if needed
+        this.scheduleCountIn();
         this.scheduleBeats(selectedSound);
         
         // Continue the loop
-        this.animationFrameId = requestAnimationFrame(() => this.schedulerLoop(selectedSound));
+        this.schedulerTickId = window.schedulerClock.requestTick(() => this.schedulerLoop(selectedSound));
+    }
+    
+    /**
+     * Send the beats that are due to each display (every display has its own delay)
+     */
+    sendDisplayBeats(currentTime) {
+        this.scheduledDisplayBeats = this.scheduledDisplayBeats.filter(displayBeat => {
+            displayBeat.targets = displayBeat.targets.filter(target => {
+                if (displayBeat.time + target.delay > currentTime) {
+                    return true;
+                }
+                if (this.callbacks.sendDisplayBeat) {
+                    this.callbacks.sendDisplayBeat({
+                        time: displayBeat.time,
+                        beatInBar: displayBeat.beatInBar,
+                        countdown: this.getCountdownAfter(displayBeat.beatNumber)
+                    }, target.displayId);
+                }
+                return false;
+            });
+            return displayBeat.targets.length > 0;
+        });
     }
     
     /**
-     * Start the countdown timer for display
+     * Get the countdown after a beat from the current total, so beats added or taken away since it was scheduled count
+     */
+    getCountdownAfter(beatNumber) {
+        return Math.max(0, this.originalCountdown - beatNumber);
+    }
+    
+    /**
+     * Get the countdown as shown: after the last beat heard, not counting the beats scheduled ahead of it
+     */
+    getShownCountdown() {
+        return this.getCountdownAfter(this.lastBeatNumber);
+    }
+    
+    /**
+     * Set the latency compensation
+     * visualDelay: seconds after a beat that this screen shows it
+     * displayTargets: [{ displayId, delay }] seconds after a beat that each display is sent it (displayId null for
+     * the displays without their own offset); negative delays are limited by the lookahead
+     */
+    setLatency(visualDelay, displayTargets) {
+        this.visualDelay = visualDelay;
+        this.displayTargets = displayTargets;
+    }
+    
+    /**
+     * Get how far (seconds) an audio clock time is from the nearest recent beat, negative when before it,
+     * or null when no beats have been scheduled
+     */
+    getBeatLag(time) {
+        if (this.recentBeatTimes.length === 0) {
+            return null;
+        }
+        
+        return this.recentBeatTimes.reduce((nearest, beatTime) => {
+            return Math.abs(time - beatTime) < Math.abs(nearest) ? time - beatTime : nearest;
+        }, Infinity);
+    }
+    
+    /**
+     * Start the countdown clock: set the deadline and refresh the display from it
      */
     startCountdownTimer() {
+        // Ending at a clock time: remaining time comes from the real clock on start and after every pause
+        if (this.endTime !== null) {
+            this.remainingTimeSeconds = Math.max(0, (this.endTime - Date.now()) / 1000);
+        }
+        
+        this.deadline = performance.now() + this.remainingTimeSeconds * 1000;
+        
         this.timerInterval = setInterval(() => {
-            this.remainingTimeSeconds--;
+            this.updateRemainingTime();
             this.updateTimerDisplay();
             
             if (this.remainingTimeSeconds <= 0) {
                 clearInterval(this.timerInterval);
                 this.timerInterval = null;
             }
-        }, 1000);
+        }, this.timerRefreshMs);
     }
     
     /**
-     * Stop the countdown
+     * Stop the countdown clock, keeping the remaining time where it is
      */
-    stopCountdown() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
+    stopCountdownTimer() {
+        this.updateRemainingTime();
+        this.deadline = null;
+        this.stopCountdownTimerInterval();
+    }
+    
+    /**
+     * Stop refreshing the countdown display
+     */
+    stopCountdownTimerInterval() {
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
+    }
+    
+    /**
+     * Derive remaining time from the deadline (no-op while the clock is stopped)
+     */
+    updateRemainingTime() {
+        if (this.deadline !== null) {
+            this.remainingTimeSeconds = Math.max(0, (this.deadline - performance.now()) / 1000);
+        }
+        return this.remainingTimeSeconds;
+    }
+    
+    /**
+     * Stop the countdown
+     */
+    stopCountdown() {
+        if (this.schedulerTickId) {
+            window.schedulerClock.cancelTick(this.schedulerTickId);
+            this.schedulerTickId = null;
+        }
+        this.cancelCountIn();
+        this.stopCountdownTimer();
+        this.audioManager.stopEndingAudio();
         if (this.disableTimeout) {
             clearTimeout(this.disableTimeout);
             this.disableTimeout = null;
         }
         this.isRunning = false;
         this.isDisabled = false;
+        this.isHeld = false;
         
         // Notify UI
         if (this.callbacks.onCountdownStopped) {
@@ -233,6 +498,7 @@ class TimerManager {
             this.nextBeatTime = this.startTime;
             this.scheduledBeats = [];
             this.scheduledVisualBeats = [];
+            this.scheduledDisplayBeats = [];
             
             this.startTimer(selectedSound);
             this.startCountdownTimer();
@@ -244,6 +510,151 @@ class TimerManager {
         }
     }
     
+    /**
+     * Snapshot of the running show for session persistence (times as Date.now() wall-clock values)
+     */
+    getSessionState() {
+        const now = Date.now();
+        const audioNow = this.audioManager.getCurrentTime();
+        
+        return {
+            originalCountdown: this.originalCountdown,
+            beatsLeft: this.originalCountdown - this.lastBeatNumber, // Countdown after the last beat shown
+            lastBeatWallTime: this.lastBeatTime !== null ? now - (audioNow - this.lastBeatTime) * 1000 : null,
+            targetDurationMinutes: this.targetDurationMinutes,
+            endTime: this.endTime,
+            remainingTimeSeconds: this.updateRemainingTime(),
+            deadlineWallTime: this.deadline !== null ? now + this.remainingTimeSeconds * 1000 : null,
+            bpm: this.bpm,
+            baseBpm: this.baseBpm,
+            tempoRamp: this.tempoRamp ? this.getTempoRampSessionState(audioNow) : null,
+            autoTempo: Object.assign({}, this.autoTempo),
+            beatsPerBar: this.beatsPerBar,
+            beatUnit: this.beatUnit,
+            barStartBeat: this.barStartBeat,
+            subdivision: this.subdivision,
+            swing: this.swing,
+            freezeClockWhenDisabled: this.freezeClockWhenDisabled,
+            isDisabled: this.isDisabled && !this.disableTimeout, // Disable 5s is over by the time the app is back
+            isHeld: this.isHeld
+        };
+    }
+    
+    /**
+     * Snapshot of the active tempo ramp; elapsedSeconds is how far a timed ramp has run (null before its first beat)
+     */
+    getTempoRampSessionState(audioNow) {
+        const tempoRamp = this.tempoRamp;
+        return {
+            startBpm: tempoRamp.startBpm,
+            targetBpm: tempoRamp.targetBpm,
+            beats: tempoRamp.beats,
+            seconds: tempoRamp.seconds,
+            curve: tempoRamp.curve,
+            beatsElapsed: tempoRamp.beatsElapsed,
+            elapsedSeconds: tempoRamp.startTime !== null ? audioNow - tempoRamp.startTime : null
+        };
+    }
+    
+    /**
+     * Rebuild a saved tempo ramp so it carries on where it was saved
+     */
+    restoreTempoRamp(savedRamp) {
+        const tempoRamp = new TempoRamp(savedRamp);
+        tempoRamp.beatsElapsed = savedRamp.beatsElapsed;
+        if (savedRamp.elapsedSeconds !== null) {
+            tempoRamp.startTime = this.audioManager.getCurrentTime() - savedRamp.elapsedSeconds;
+        }
+        return tempoRamp;
+    }
+    
+    /**
+     * Work out where a saved show is now: beats keep going while the app is down
+     * (unless they were paused or held), and a running clock keeps draining
+     */
+    projectSession(session, now = Date.now()) {
+        const interval = 60 / session.bpm;
+        let beatsLeft = session.beatsLeft;
+        let nextBeatDelay = 0;
+        
+        if (!session.isDisabled && !session.isHeld && session.lastBeatWallTime !== null) {
+            const elapsed = Math.max(0, (now - session.lastBeatWallTime) / 1000);
+            const elapsedBeats = Math.floor(elapsed / interval);
+            beatsLeft -= elapsedBeats;
+            nextBeatDelay = (elapsedBeats + 1) * interval - elapsed;
+        }
+        
+        const remainingTimeSeconds = session.deadlineWallTime !== null
+            ? Math.max(0, (session.deadlineWallTime - now) / 1000)
+            : session.remainingTimeSeconds;
+        
+        return {
+            beatsLeft: beatsLeft,
+            remainingTimeSeconds: remainingTimeSeconds,
+            nextBeatDelay: nextBeatDelay
+        };
+    }
+    
+    /**
+     * Resume a saved show where it would be now, keeping the beat grid and beat numbers
+     * The meter (and where its bars start), subdivisions, swing, auto-tempo and a tempo ramp carry on as saved
+     */
+    restoreSession(session, selectedSound) {
+        const projection = this.projectSession(session);
+        
+        this.targetDurationMinutes = session.targetDurationMinutes;
+        this.endTime = session.endTime;
+        this.freezeClockWhenDisabled = session.freezeClockWhenDisabled;
+        this.remainingTimeSeconds = projection.remainingTimeSeconds;
+        this.bpm = session.bpm;
+        this.baseBpm = session.baseBpm;
+        this.setTempoRamp(session.tempoRamp ? this.restoreTempoRamp(session.tempoRamp) : null);
+        Object.assign(this.autoTempo, session.autoTempo);
+        
+        this.beatsPerBar = session.beatsPerBar || 0;
+        this.beatUnit = session.beatUnit || 4;
+        this.barStartBeat = session.barStartBeat || 1;
+        this.setSubdivision(session.subdivision);
+        this.setSwing(session.swing);
+        
+        this.countdown = Math.max(1, projection.beatsLeft);
+        this.originalCountdown = session.originalCountdown;
+        
+        const startTime = this.audioManager.getCurrentTime() + projection.nextBeatDelay;
+        this.lastBeatNumber = this.originalCountdown - this.countdown;
+        this.lastBeatTime = startTime - 60 / this.bpm;
+        
+        this.isRunning = true;
+        this.isCompleted = false;
+        this.audioManager.resumeAudioContext();
+        
+        if (session.isHeld || session.isDisabled) {
+            // Come back paused: the beats wait for Resume, the clock follows the saved state
+            this.startTime = startTime;
+            this.isDisabled = true;
+            this.isHeld = session.isHeld;
+            if (session.deadlineWallTime !== null) {
+                this.startCountdownTimer();
+            }
+        } else {
+            this.startTimer(selectedSound, startTime);
+            this.startCountdownTimer();
+        }
+        
+        this.updateDisplay();
+        this.updateTimerDisplay();
+        
+        // Notify UI
+        if (this.callbacks.onCountdownStarted) {
+            this.callbacks.onCountdownStarted();
+        }
+        if (session.isHeld && this.callbacks.onTimerHeld) {
+            this.callbacks.onTimerHeld();
+        } else if (session.isDisabled && this.callbacks.onTimerDisabledIndefinitely) {
+            this.callbacks.onTimerDisabledIndefinitely();
+        }
+    }
+    
     /**
      * Reset the countdown to initial state
      */
@@ -251,8 +662,12 @@ class TimerManager {
         this.stopCountdown();
         this.countdown = totalBeats;
         this.originalCountdown = this.countdown;
+        this.lastBeatNumber = 0;
+        this.barStartBeat = 1;
         this.remainingTimeSeconds = this.targetDurationMinutes * 60;
         this.bpm = initialBpm;
+        this.baseBpm = initialBpm;
+        this.setTempoRamp(null);
         this.isCompleted = false;
         
         this.updateDisplay();
@@ -264,11 +679,70 @@ class TimerManager {
         }
     }
     
+    /**
+     * Add (or, with a negative delta, remove) beats mid-show
+     */
+    adjustCountdown(delta) {
+        return this.setCountdown(this.countdown + delta);
+    }
+    
+    /**
+     * Set the remaining beats mid-show
+     * originalCountdown moves along so beat numbers (and the final-beat check) stay consistent;
+     * the final beat always stays, and beats already scheduled are not taken back
+     */
+    setCountdown(beats) {
+        const minimum = Math.min(this.countdown, 1);
+        const newCountdown = Math.max(minimum, Math.round(beats));
+        
+        this.originalCountdown += newCountdown - this.countdown;
+        this.countdown = newCountdown;
+        
+        this.updateDisplay();
+        return this.countdown;
+    }
+    
+    /**
+     * Extend (or, with a negative delta, shorten) the remaining time mid-show
+     */
+    adjustRemainingTime(deltaSeconds) {
+        return this.setRemainingTime(this.updateRemainingTime() + deltaSeconds);
+    }
+    
+    /**
+     * Set the remaining time mid-show; a running clock carries on from the new value
+     */
+    setRemainingTime(seconds) {
+        this.remainingTimeSeconds = Math.max(0, seconds);
+        
+        // Ending at a clock time: the edit moves the end time
+        if (this.endTime !== null) {
+            this.endTime = Date.now() + this.remainingTimeSeconds * 1000;
+        }
+        
+        if (this.deadline !== null) {
+            this.stopCountdownTimerInterval();
+            this.startCountdownTimer();
+        }
+        
+        this.updateTimerDisplay();
+        this.updateDisplay();
+        return this.remainingTimeSeconds;
+    }
+    
     /**
      * Update BPM and recalculate timing
+     * Pass ramp settings ({ beats | seconds, curve }) to glide to the new BPM instead of jumping
      */
-    updateBpm(newBpm, selectedSound) {
+    updateBpm(newBpm, selectedSound, ramp = null) {
+        if (ramp) {
+            this.rampBpm(newBpm, ramp);
+            return;
+        }
+        
         this.bpm = newBpm;
+        this.baseBpm = newBpm;
+        this.setTempoRamp(null);
         
         // Update the beat interval for new beats
         if (this.isRunning) {
@@ -279,51 +753,226 @@ class TimerManager {
         this.updateDisplay();
     }
     
+    /**
+     * Ramp from the current BPM to a target over a number of beats or seconds
+     */
+    rampBpm(targetBpm, { beats = 0, seconds = 0, curve = 'linear' } = {}) {
+        const clampedBpm = window.bpmConfig.clampBpm(targetBpm);
+        
+        // Nothing to ramp over (or no beats playing): just jump
+        if (!this.isRunning || (beats <= 0 && seconds <= 0) || clampedBpm === this.bpm) {
+            this.updateBpm(clampedBpm);
+            return clampedBpm;
+        }
+        
+        this.setTempoRamp(new TempoRamp({
+            startBpm: this.bpm,
+            targetBpm: clampedBpm,
+            beats: beats,
+            seconds: seconds,
+            curve: curve
+        }));
+        
+        return clampedBpm;
+    }
+    
+    /**
+     * Replace the active tempo ramp and notify the UI
+     */
+    setTempoRamp(tempoRamp) {
+        if (!tempoRamp && !this.tempoRamp) return;
+        this.tempoRamp = tempoRamp;
+        
+        if (this.callbacks.onTempoChanged) {
+            this.callbacks.onTempoChanged(this.bpm, this.tempoRamp);
+        }
+    }
+    
+    /**
+     * Move the tempo along the active ramp (or auto-tempo correction) for the beat at beatTime
+     * Returns the interval (seconds) until the next beat
+     */
+    advanceTempo(beatTime) {
+        if (this.tempoRamp) {
+            this.bpm = this.tempoRamp.advance(beatTime);
+            if (this.tempoRamp.isFinished) {
+                this.baseBpm = this.bpm;
+                this.tempoRamp = null;
+            }
+        } else if (this.autoTempo.enabled) {
+            this.bpm = this.calculateAutoTempoBpm(beatTime);
+        } else {
+            return this.beatInterval;
+        }
+        this.beatInterval = 60 / this.bpm;
+        
+        if (this.callbacks.onTempoChanged) {
+            this.callbacks.onTempoChanged(this.bpm, this.tempoRamp);
+        }
+        
+        return this.beatInterval;
+    }
+    
+    /**
+     * Calculate the auto-tempo BPM for the interval after the beat at beatTime
+     * Steers toward the tempo that puts the final beat on zero, within the configured limits
+     */
+    calculateAutoTempoBpm(beatTime) {
+        const beatsAfterThis = this.countdown - 1;
+        if (beatsAfterThis <= 0) {
+            return this.bpm;
+        }
+        
+        // Time left when this beat sounds (beats are scheduled ahead of the clock)
+        const timeLeft = this.updateRemainingTime() - (beatTime - this.audioManager.getCurrentTime());
+        const requiredBpm = timeLeft > 0 ? (beatsAfterThis * 60) / timeLeft : window.bpmConfig.MAX_BPM;
+        
+        // Limit how far from the operator's tempo we may go
+        const maxDeviation = this.baseBpm * this.autoTempo.maxDeviationPercent / 100;
+        const limitedBpm = Math.max(this.baseBpm - maxDeviation, Math.min(this.baseBpm + maxDeviation, requiredBpm));
+        
+        // Limit how fast we may get there
+        const maxChange = this.autoTempo.maxChangePerBeat;
+        const steppedBpm = Math.max(this.bpm - maxChange, Math.min(this.bpm + maxChange, limitedBpm));
+        
+        return window.bpmConfig.clampBpm(steppedBpm);
+    }
+    
+    /**
+     * Enable or disable auto-tempo
+     */
+    setAutoTempo(enabled) {
+        this.autoTempo.enabled = enabled;
+        
+        // Keep the corrected tempo as the operator's tempo so switching off doesn't jump
+        if (!enabled) {
+            this.baseBpm = this.bpm;
+        }
+        
+        if (this.callbacks.onTempoChanged) {
+            this.callbacks.onTempoChanged(this.bpm, this.tempoRamp);
+        }
+    }
+    
+    /**
+     * Configure how far (percent of the operator's tempo) and how fast (BPM per beat) auto-tempo may drift
+     */
+    setAutoTempoLimits(maxDeviationPercent, maxChangePerBeat) {
+        this.autoTempo.maxDeviationPercent = Math.max(0, maxDeviationPercent);
+        this.autoTempo.maxChangePerBeat = Math.max(0, maxChangePerBeat);
+    }
+    
+    /**
+     * Get auto-tempo state for display
+     */
+    getAutoTempoState() {
+        return {
+            enabled: this.autoTempo.enabled,
+            isCorrecting: this.autoTempo.enabled && !this.tempoRamp && Math.abs(this.bpm - this.baseBpm) >= 0.5,
+            baseBpm: this.baseBpm,
+            bpm: this.bpm
+        };
+    }
+    
     /**
      * Calculate required BPM to finish exactly when timer reaches zero
      */
     calculateRequiredBpm() {
-        return Math.round((this.countdown * 60) / this.remainingTimeSeconds);
+        return Math.round((this.countdown * 60) / this.updateRemainingTime());
     }
     
     /**
      * Set BPM to required value to finish on time
      */
-    setToRequiredBpm(selectedSound) {
+    setToRequiredBpm(selectedSound, ramp = null) {
         const requiredBpm = this.calculateRequiredBpm();
         const clampedBpm = window.bpmConfig.clampBpm(requiredBpm);
         
-        this.updateBpm(clampedBpm, selectedSound);
+        this.updateBpm(clampedBpm, selectedSound, ramp);
         return clampedBpm;
     }
     
     /**
      * Multiply BPM by 2
      */
-    multiplyBpm(selectedSound) {
-        const newBpm = window.bpmConfig.clampBpm(this.bpm * 2);
-        this.updateBpm(newBpm, selectedSound);
+    multiplyBpm(selectedSound, ramp = null) {
+        const newBpm = window.bpmConfig.clampBpm(Math.round(this.getTargetBpm() * 2));
+        this.updateBpm(newBpm, selectedSound, ramp);
         return newBpm;
     }
     
     /**
      * Divide BPM by 2
      */
-    divideBpm(selectedSound) {
-        const newBpm = window.bpmConfig.clampBpm(Math.round(this.bpm / 2));
-        this.updateBpm(newBpm, selectedSound);
+    divideBpm(selectedSound, ramp = null) {
+        const newBpm = window.bpmConfig.clampBpm(Math.round(this.getTargetBpm() / 2));
+        this.updateBpm(newBpm, selectedSound, ramp);
         return newBpm;
     }
     
+    /**
+     * Set the meter (e.g. 3/4, 7/8); beatsPerBar 0 turns accents off
+     * The next scheduled beat becomes the first beat of a bar
+     */
+    setMeter(beatsPerBar, beatUnit = 4) {
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        this.barStartBeat = this.originalCountdown - this.countdown + 1;
+    }
+    
+    /**
+     * Set the number of subdivision clicks per beat (1 = off, 2 = eighths, 3 = triplets, 4 = sixteenths)
+     */
+    setSubdivision(subdivision) {
+        this.subdivision = Math.max(1, Math.round(subdivision) || 1);
+    }
+    
+    /**
+     * Set the swing percentage for off-beat subdivisions (0-100)
+     */
+    setSwing(swingPercent) {
+        this.swing = Math.max(0, Math.min(100, swingPercent || 0));
+    }
+    
+    /**
+     * Get the position (1-based) of a beat within its bar, or null without a meter
+     */
+    getBeatInBar(beatNumber) {
+        if (!this.beatsPerBar) {
+            return null;
+        }
+        
+        const offset = (beatNumber - this.barStartBeat) % this.beatsPerBar;
+        return (offset + this.beatsPerBar) % this.beatsPerBar + 1;
+    }
+    
+    /**
+     * Get the BPM the tempo is heading to (the ramp target while ramping, else the operator's tempo)
+     */
+    getTargetBpm() {
+        return this.tempoRamp ? this.tempoRamp.targetBpm : this.baseBpm;
+    }
+    
     /**
      * Update display information
+     * A shown beat passes its own countdown (later beats may already be scheduled) and isBeat
      */
-    updateDisplay() {
+    updateDisplay(countdown = this.countdown, isBeat = false) {
         const requiredBpm = this.calculateRequiredBpm();
         
         // Notify UI manager
         if (this.callbacks.updateDisplay) {
-            this.callbacks.updateDisplay(this.countdown, this.bpm, requiredBpm);
+            this.callbacks.updateDisplay(countdown, Math.round(this.bpm), requiredBpm, isBeat);
+        }
+    }
+    
+    /**
+     * Update beat-in-bar display
+     */
+    updateBeatInBar(beatInBar) {
+        // Notify UI manager
+        if (this.callbacks.updateBeatInBar) {
+            this.callbacks.updateBeatInBar(beatInBar, this.beatsPerBar);
         }
     }
     
@@ -333,7 +982,16 @@ class TimerManager {
     updateTimerDisplay() {
         // Notify UI manager
         if (this.callbacks.updateTimerDisplay) {
-            this.callbacks.updateTimerDisplay(this.remainingTimeSeconds);
+            this.callbacks.updateTimerDisplay(Math.ceil(this.updateRemainingTime()));
+        }
+    }
+    
+    /**
+     * Update the count-in display (null when the count-in is over)
+     */
+    updateCountIn(count) {
+        if (this.callbacks.updateCountIn) {
+            this.callbacks.updateCountIn(count);
         }
     }
     
@@ -355,11 +1013,6 @@ class TimerManager {
         if (this.callbacks.showCompletion) {
             this.callbacks.showCompletion();
         }
-        
-        // Play ending sound
-        if (this.callbacks.playEndingSound) {
-            this.callbacks.playEndingSound();
-        }
     }
     
     /**
@@ -371,19 +1024,13 @@ class TimerManager {
         }
         
         this.isDisabled = true;
+        this.suspendBeatScheduling();
         
-        // Stop only the beat scheduling (audio and visual beats)
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+        // Keep the countdown clock running unless this show freezes it
+        if (this.freezeClockWhenDisabled) {
+            this.stopCountdownTimer();
         }
         
-        // Clear scheduled beats to prevent them from being processed when we resume
-        this.scheduledBeats = [];
-        this.scheduledVisualBeats = [];
-        
-        // Keep the countdown timer running - don't stop timerInterval
-        
         // Notify UI
         if (this.callbacks.onTimerDisabled) {
             this.callbacks.onTimerDisabled();
@@ -404,19 +1051,13 @@ class TimerManager {
         }
         
         this.isDisabled = true;
+        this.suspendBeatScheduling();
         
-        // Stop only the beat scheduling (audio and visual beats)
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+        // Keep the countdown clock running unless this show freezes it
+        if (this.freezeClockWhenDisabled) {
+            this.stopCountdownTimer();
         }
         
-        // Clear scheduled beats to prevent them from being processed when we resume
-        this.scheduledBeats = [];
-        this.scheduledVisualBeats = [];
-        
-        // Keep the countdown timer running - don't stop timerInterval
-        
         // Clear any existing disable timeout
         if (this.disableTimeout) {
             clearTimeout(this.disableTimeout);
@@ -430,7 +1071,69 @@ class TimerManager {
     }
     
     /**
-     * Re-enable timer after disable period
+     * Hold: freeze both the beats and the countdown clock until released
+     */
+    holdTimer() {
+        if (!this.isRunning || this.isHeld) {
+            return; // Can't hold if not running or already held
+        }
+        
+        this.isHeld = true;
+        
+        // Beats may already be held by Pause or Disable
+        if (!this.isDisabled) {
+            this.isDisabled = true;
+            this.suspendBeatScheduling();
+        }
+        
+        // A hold stays until released, even if it started during Disable 5s
+        if (this.disableTimeout) {
+            clearTimeout(this.disableTimeout);
+            this.disableTimeout = null;
+        }
+        
+        this.stopCountdownTimer();
+        
+        // Notify UI
+        if (this.callbacks.onTimerHeld) {
+            this.callbacks.onTimerHeld();
+        }
+    }
+    
+    /**
+     * Release a hold: beats and countdown clock resume exactly where they were
+     */
+    releaseHold() {
+        if (!this.isHeld) {
+            return;
+        }
+        
+        this.enableTimer();
+    }
+    
+    /**
+     * Stop beat scheduling (audio and visual beats) without touching the countdown clock
+     */
+    suspendBeatScheduling() {
+        if (this.schedulerTickId) {
+            window.schedulerClock.cancelTick(this.schedulerTickId);
+            this.schedulerTickId = null;
+        }
+        
+        // Clear scheduled beats to prevent them from being processed when we resume
+        this.scheduledBeats = [];
+        this.scheduledVisualBeats = [];
+        this.scheduledDisplayBeats = [];
+        
+        // An interrupted count-in is not resumed; the show starts when the beats resume
+        this.cancelCountIn();
+        
+        // Ending layers stop with the beats and join again when they resume
+        this.audioManager.stopEndingAudio();
+    }
+    
+    /**
+     * Re-enable timer after disable period (also releases a hold)
      */
     enableTimer() {
         if (!this.isDisabled) {
@@ -438,12 +1141,21 @@ class TimerManager {
         }
         
         this.isDisabled = false;
-        this.disableTimeout = null;
+        this.isHeld = false;
+        if (this.disableTimeout) {
+            clearTimeout(this.disableTimeout);
+            this.disableTimeout = null;
+        }
         
         // Resume beat scheduling with proper timing recalculation
         const selectedSound = this.getCurrentSound ? this.getCurrentSound() : 'Thump';
         this.resumeBeatScheduling(selectedSound);
-        // Don't restart startCountdownTimer() - it should still be running
+        
+        // Restart the countdown clock if it was frozen (hold, or a show that freezes on disable);
+        // before the first beat it starts with that beat instead
+        if (this.deadline === null && !this.isCountingIn) {
+            this.startCountdownTimer();
+        }
         
         // Notify UI
         if (this.callbacks.onTimerEnabled) {
@@ -459,13 +1171,21 @@ class TimerManager {
         const currentTime = this.audioManager.getCurrentTime();
         this.beatInterval = 60 / this.bpm;
         
-        // Calculate the next beat time based on current time
-        // This ensures we don't have a gap or jump in timing
-        const timeSinceLastBeat = (currentTime - this.startTime) % this.beatInterval;
-        this.nextBeatTime = currentTime + (this.beatInterval - timeSinceLastBeat);
+        if (currentTime < this.startTime) {
+            // The count-in was cut short and is not resumed: the first beat plays now, and a clock that
+            // has not started yet waits for it (see schedulerLoop), so the count-in takes no time off the show
+            this.startTime = currentTime;
+            this.nextBeatTime = currentTime;
+            this.isCountingIn = this.deadline === null;
+        } else {
+            // Calculate the next beat time based on current time
+            // This ensures we don't have a gap or jump in timing
+            const timeSinceLastBeat = (currentTime - this.startTime) % this.beatInterval;
+            this.nextBeatTime = currentTime + (this.beatInterval - timeSinceLastBeat);
+        }
         
-        // Restart the animation frame loop
-        this.animationFrameId = requestAnimationFrame(() => this.schedulerLoop(selectedSound));
+        // Restart the scheduler clock loop
+        this.schedulerTickId = window.schedulerClock.requestTick(() => this.schedulerLoop(selectedSound));
     }
     
     /**
@@ -476,10 +1196,19 @@ class TimerManager {
             countdown: this.countdown,
             originalCountdown: this.originalCountdown,
             targetDurationMinutes: this.targetDurationMinutes,
-            remainingTimeSeconds: this.remainingTimeSeconds,
+            endTime: this.endTime,
+            remainingTimeSeconds: this.updateRemainingTime(),
             bpm: this.bpm,
+            tempoRamp: this.tempoRamp,
+            autoTempo: this.getAutoTempoState(),
+            beatsPerBar: this.beatsPerBar,
+            beatUnit: this.beatUnit,
+            subdivision: this.subdivision,
+            swing: this.swing,
             isRunning: this.isRunning,
             isDisabled: this.isDisabled,
+            isHeld: this.isHeld,
+            isCountingIn: this.isCountingIn,
             requiredBpm: this.calculateRequiredBpm()
         };
     }
@@ -24,6 +24,8 @@ class UIManager {
         
         this.initializeElements();
         this.generateSoundButtons();
+        this.generateCueValueOptions();
+        this.generateSynthEditor();
         this.setupEventListeners();
     }
     
@@ -34,15 +36,38 @@ class UIManager {
         this.elements = {
             setupPanel: document.getElementById('setupPanel'),
             countdownPanel: document.getElementById('countdownPanel'),
+            timingModeSelect: document.getElementById('timingModeSelect'),
+            durationGroup: document.getElementById('durationGroup'),
             durationInput: document.getElementById('durationInput'),
+            endTimeGroup: document.getElementById('endTimeGroup'),
+            endTimeInput: document.getElementById('endTimeInput'),
             totalBeatsInput: document.getElementById('totalBeatsInput'),
             startBtn: document.getElementById('startBtn'),
+            renderTrackBtn: document.getElementById('renderTrackBtn'),
             stopBtn: document.getElementById('stopBtn'),
             disableBtn: document.getElementById('disableBtn'),
+            holdBtn: document.getElementById('holdBtn'),
+            freezeClockCheckbox: document.getElementById('freezeClockCheckbox'),
+            countInInput: document.getElementById('countInInput'),
+            showCountInCheckbox: document.getElementById('showCountInCheckbox'),
+            countInDisplay: document.getElementById('countInDisplay'),
+            timelineInput: document.getElementById('timelineInput'),
             resetBtn: document.getElementById('resetBtn'),
+            introButtons: document.getElementById('introButtons'),
+            resumePanel: document.getElementById('resumePanel'),
+            resumeInfo: document.getElementById('resumeInfo'),
+            resumeShowBtn: document.getElementById('resumeShowBtn'),
+            discardSessionBtn: document.getElementById('discardSessionBtn'),
+            stopOpeningSoundBtn: document.getElementById('stopOpeningSoundBtn'),
             countdownNumber: document.getElementById('countdownNumber'),
             timerDisplay: document.getElementById('timerDisplay'),
             requiredBpmDisplay: document.getElementById('requiredBpmDisplay'),
+            
+            // Show timeline section controls
+            sectionControls: document.getElementById('sectionControls'),
+            sectionName: document.getElementById('sectionName'),
+            prevSectionBtn: document.getElementById('prevSectionBtn'),
+            nextSectionBtn: document.getElementById('nextSectionBtn'),
             currentBpm: document.getElementById('currentBpm'),
             bpmNumber: document.querySelector('.bpm-number'),
             
@@ -57,6 +82,8 @@ class UIManager {
             volumeSliderFill: document.getElementById('volumeSliderFill'),
             currentVolume: document.getElementById('currentVolume'),
             volumeNumber: document.querySelector('.volume-number'),
+            volumeIcon: document.querySelector('.volume-icon'),
+            muteBtn: document.getElementById('muteBtn'),
             
             // BPM control buttons
             bpmMultiplyBtn: document.getElementById('bpmMultiplyBtn'),
@@ -67,13 +94,83 @@ class UIManager {
             set60BpmBtn: document.getElementById('set60BpmBtn'),
             set110BpmBtn: document.getElementById('set110BpmBtn'),
             
+            // BPM ramp controls
+            rampBtn: document.getElementById('rampBtn'),
+            rampTargetInput: document.getElementById('rampTargetInput'),
+            rampLengthInput: document.getElementById('rampLengthInput'),
+            rampUnitSelect: document.getElementById('rampUnitSelect'),
+            rampCurveSelect: document.getElementById('rampCurveSelect'),
+            rampModeToggle: document.getElementById('rampModeToggle'),
+            rampStatus: document.getElementById('rampStatus'),
+            
+            // Auto-tempo controls
+            autoTempoBtn: document.getElementById('autoTempoBtn'),
+            autoTempoDeviationInput: document.getElementById('autoTempoDeviationInput'),
+            autoTempoRateInput: document.getElementById('autoTempoRateInput'),
+            autoTempoStatus: document.getElementById('autoTempoStatus'),
+            
+            // Meter controls
+            meterSelect: document.getElementById('meterSelect'),
+            showBarBeatToggle: document.getElementById('showBarBeatToggle'),
+            barBeatDisplay: document.getElementById('barBeatDisplay'),
+            subdivisionSelect: document.getElementById('subdivisionSelect'),
+            swingInput: document.getElementById('swingInput'),
+            
+            // Live edit controls
+            liveEditControls: document.getElementById('liveEditControls'),
+            setBeatsInput: document.getElementById('setBeatsInput'),
+            setTimeInput: document.getElementById('setTimeInput'),
+            
+            // Cue list elements
+            cueList: document.getElementById('cueList'),
+            cueArmBtn: document.getElementById('cueArmBtn'),
+            cueFireNextBtn: document.getElementById('cueFireNextBtn'),
+            cueTriggerInput: document.getElementById('cueTriggerInput'),
+            cueActionSelect: document.getElementById('cueActionSelect'),
+            cueValueInput: document.getElementById('cueValueInput'),
+            addCueBtn: document.getElementById('addCueBtn'),
+            
+            // Custom sound import elements
+            soundDropZone: document.getElementById('soundDropZone'),
+            soundFileInput: document.getElementById('soundFileInput'),
+            soundImportList: document.getElementById('soundImportList'),
+            customSoundList: document.getElementById('customSoundList'),
+            
+            // Synth designer elements
+            synthPresetSelect: document.getElementById('synthPresetSelect'),
+            synthParameters: document.getElementById('synthParameters'),
+            synthAuditionBtn: document.getElementById('synthAuditionBtn'),
+            synthLabelInput: document.getElementById('synthLabelInput'),
+            synthSaveBtn: document.getElementById('synthSaveBtn'),
+            
+            // Sound loading status
+            soundLoadStatus: document.getElementById('soundLoadStatus'),
+            soundLoadProgress: document.getElementById('soundLoadProgress'),
+            soundLoadText: document.getElementById('soundLoadText'),
+            
+            // Latency compensation elements
+            latencyList: document.getElementById('latencyList'),
+            latencyDisplayIdInput: document.getElementById('latencyDisplayIdInput'),
+            addLatencyDisplayBtn: document.getElementById('addLatencyDisplayBtn'),
+            latencyCalibration: document.getElementById('latencyCalibration'),
+            latencyCalibrationStatus: document.getElementById('latencyCalibrationStatus'),
+            latencyTapBtn: document.getElementById('latencyTapBtn'),
+            latencyCancelBtn: document.getElementById('latencyCancelBtn'),
+            
             // MIDI status elements
             midiStatus: document.getElementById('midiStatus'),
             midiIndicator: document.getElementById('midiIndicator'),
             midiText: document.getElementById('midiText'),
             
-            // Oneshot stop button
+            // Oneshot stop button and ducking controls
             stopOneshotBtn: document.getElementById('stopOneshotBtn'),
+            duckAmountInput: document.getElementById('duckAmountInput'),
+            duckAttackInput: document.getElementById('duckAttackInput'),
+            duckReleaseInput: document.getElementById('duckReleaseInput'),
+            
+            // Ambient bed volume
+            ambientVolumeInput: document.getElementById('ambientVolumeInput'),
+            ambientVolumeValue: document.getElementById('ambientVolumeValue'),
             
             // Tap tempo elements
             tapTempoIndicator: document.getElementById('tapTempoIndicator'),
@@ -82,22 +179,34 @@ class UIManager {
         
         // Sound buttons will be generated dynamically
         this.soundButtons = {};
+        this.playingAmbient = null; // Label of the ambient bed playing, shown as active
+        
+        // Dropped files waiting for a label and type, by import row id
+        this.pendingImports = new Map();
+        this.nextImportId = 1;
+        
+        // Latency calibration prompt showing (T taps along)
+        this.isCalibratingLatency = false;
     }
     
     /**
      * Generate sound selection buttons dynamically
+     * getAvailability(label) marks sounds whose audio could not be loaded ('fallback' or 'unavailable')
      */
-    generateSoundButtons() {
+    generateSoundButtons(getAvailability = () => 'available') {
         const soundButtonsContainer = document.querySelector('.sound-buttons');
         const endingButtonsContainer = document.querySelector('.ending-buttons');
         const oneshotButtonsContainer = document.querySelector('.oneshot-buttons');
         const comboButtonsContainer = document.querySelector('.combo-buttons');
+        const ambientButtonsContainer = document.querySelector('.ambient-buttons');
         
         // Clear existing buttons
+        this.soundButtons = {};
         soundButtonsContainer.innerHTML = '';
         endingButtonsContainer.innerHTML = '';
         oneshotButtonsContainer.innerHTML = '';
         comboButtonsContainer.innerHTML = '';
+        ambientButtonsContainer.innerHTML = '';
         
         // Generate buttons from sound configuration
         this.soundConfig.sounds.forEach((soundConfig, index) => {
@@ -105,10 +214,10 @@ class UIManager {
             button.id = `${soundConfig.label.replace(/\s+/g, '')}Btn`;
             button.className = 'sound-btn';
             
-            // Add number prefix for regular sounds (not ending sounds or oneshot sounds)
+            // Add number prefix for regular sounds (not ending, oneshot or ambient sounds)
             if (soundConfig.type === 'end') {
                 button.textContent = soundConfig.label;
-            } else if (soundConfig.type === 'oneshot') {
+            } else if (soundConfig.type === 'oneshot' || soundConfig.type === 'ambient') {
                 button.textContent = soundConfig.label;
             } else {
                 button.textContent = `${index + 1}. ${soundConfig.label}`;
@@ -116,6 +225,16 @@ class UIManager {
             
             button.dataset.soundType = soundConfig.label;
             
+            const availability = getAvailability(soundConfig.label);
+            if (availability === 'unavailable') {
+                button.disabled = true;
+                button.classList.add('unavailable');
+                button.title = 'Audio file could not be loaded';
+            } else if (availability === 'fallback') {
+                button.classList.add('fallback');
+                button.title = 'Audio file could not be loaded, a generated sound plays instead';
+            }
+            
             // Separate sounds by type
             if (soundConfig.type === 'end') {
                 // Add to ending buttons container
@@ -131,6 +250,13 @@ class UIManager {
                 // Add to combo buttons container
                 button.classList.add('combo-btn');
                 comboButtonsContainer.appendChild(button);
+            } else if (soundConfig.type === 'ambient') {
+                // Add to ambient buttons container
+                button.classList.add('ambient-btn');
+                if (soundConfig.label === this.playingAmbient) {
+                    button.classList.add('active');
+                }
+                ambientButtonsContainer.appendChild(button);
             } else {
                 // Add to regular sound buttons container
                 if (soundConfig.label === this.selectedSound) {
@@ -143,18 +269,174 @@ class UIManager {
         });
     }
     
+    /**
+     * Generate a button per intro; intros whose audio is unavailable get a disabled button
+     */
+    generateIntroButtons(intros, isAvailable) {
+        const container = this.elements.introButtons;
+        container.innerHTML = '';
+        
+        intros.forEach((intro, index) => {
+            const button = document.createElement('button');
+            button.className = 'opening-sound-btn';
+            if (index % 2 === 1) {
+                button.classList.add('play-btn-2');
+            }
+            button.textContent = `🎵 Play ${intro.label}`;
+            button.dataset.intro = intro.label;
+            
+            if (!isAvailable(intro.label)) {
+                button.disabled = true;
+                button.title = 'Audio file not found';
+            }
+            
+            container.appendChild(button);
+        });
+    }
+    
+    /**
+     * Generate the value suggestions for cue actions that pick a sound
+     */
+    generateCueValueOptions() {
+        const optionSets = {
+            oneshot: this.soundConfig.getOneshotSounds(),
+            sound: this.soundConfig.sounds.filter(sound => !sound.type),
+            ending: this.soundConfig.getEndingSounds()
+        };
+        
+        Object.entries(optionSets).forEach(([action, sounds]) => {
+            // Replace the list when the sounds change (custom sounds imported or removed)
+            const existing = document.getElementById(`cueOptions-${action}`);
+            if (existing) {
+                existing.remove();
+            }
+            
+            const datalist = document.createElement('datalist');
+            datalist.id = `cueOptions-${action}`;
+            sounds.forEach(sound => {
+                const option = document.createElement('option');
+                option.value = sound.label;
+                datalist.appendChild(option);
+            });
+            document.body.appendChild(datalist);
+        });
+    }
+    
+    /**
+     * Generate the synth designer inputs from the synth parameter descriptions, starting from the first preset
+     */
+    generateSynthEditor() {
+        Object.keys(this.soundConfig.synthPresets).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.elements.synthPresetSelect.appendChild(option);
+        });
+        
+        this.soundConfig.synthParameters.forEach(parameter => {
+            const field = document.createElement('label');
+            field.className = 'synth-parameter';
+            field.textContent = parameter.label;
+            
+            let input;
+            if (parameter.options) {
+                input = document.createElement('select');
+                input.className = 'ramp-select';
+                parameter.options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = parameter.min;
+                input.max = parameter.max;
+                input.step = parameter.step;
+            }
+            input.dataset.synthParameter = parameter.key;
+            
+            field.appendChild(input);
+            this.elements.synthParameters.appendChild(field);
+        });
+        
+        this.loadSynthPreset(this.elements.synthPresetSelect.value);
+    }
+    
+    /**
+     * Fill the synth designer with a preset (its first layer)
+     */
+    loadSynthPreset(name) {
+        const layer = this.soundConfig.getSynthLayers(name)[0];
+        if (!layer) return;
+        
+        this.elements.synthParameters.querySelectorAll('[data-synth-parameter]').forEach(input => {
+            const value = layer[input.dataset.synthParameter];
+            input.value = value === null ? '' : value;
+        });
+    }
+    
+    /**
+     * Get the synth designer's parameters; an empty sweep target means no sweep
+     */
+    getSynthParameters() {
+        const synth = {};
+        
+        this.soundConfig.synthParameters.forEach(parameter => {
+            const input = this.elements.synthParameters.querySelector(`[data-synth-parameter="${parameter.key}"]`);
+            if (parameter.options) {
+                synth[parameter.key] = input.value;
+            } else if (input.value === '') {
+                synth[parameter.key] = null;
+            } else {
+                const value = parseFloat(input.value);
+                synth[parameter.key] = Math.max(parameter.min, Math.min(parameter.max, value));
+            }
+        });
+        
+        // Required values fall back to the defaults rather than silence
+        Object.keys(synth).forEach(key => {
+            if (synth[key] === null && this.soundConfig.synthDefaults[key] !== null) {
+                synth[key] = this.soundConfig.synthDefaults[key];
+            }
+        });
+        
+        return synth;
+    }
+    
     /**
      * Set up all event listeners
      */
     setupEventListeners() {
         // Main control buttons
         this.elements.startBtn.addEventListener('click', () => this.callbacks.startCountdown());
+        this.elements.renderTrackBtn.addEventListener('click', () => this.callbacks.renderPracticeTrack());
         this.elements.stopBtn.addEventListener('click', () => this.callbacks.toggleStopResume());
         this.elements.disableBtn.addEventListener('click', () => this.callbacks.disableTimer());
+        this.elements.holdBtn.addEventListener('click', () => this.callbacks.toggleHold());
+        this.elements.muteBtn.addEventListener('click', () => this.callbacks.toggleMute());
+        
+        // Show timeline section buttons
+        this.elements.prevSectionBtn.addEventListener('click', () => this.callbacks.previousSection());
+        this.elements.nextSectionBtn.addEventListener('click', () => this.callbacks.nextSection());
         if (this.elements.resetBtn) {
             this.elements.resetBtn.addEventListener('click', () => this.callbacks.resetCountdown());
         }
         
+        // Intro buttons - use event delegation for dynamic buttons
+        this.elements.introButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-intro]');
+            if (button && !button.disabled) {
+                this.callbacks.playIntro(button.dataset.intro);
+            }
+        });
+        this.elements.stopOpeningSoundBtn.addEventListener('click', () => this.callbacks.stopIntro());
+        
+        // Resume a show saved before a reload
+        this.elements.resumeShowBtn.addEventListener('click', () => this.callbacks.resumeSession());
+        this.elements.discardSessionBtn.addEventListener('click', () => this.callbacks.discardSession());
+        
         // Sound selection controls - use event delegation for dynamic buttons
         document.querySelector('.sound-buttons').addEventListener('click', (e) => {
             if (e.target.classList.contains('sound-btn')) {
@@ -179,6 +461,16 @@ class UIManager {
             }
         });
         
+        // Ambient bed controls - a button starts its bed, or stops it when it is playing
+        document.querySelector('.ambient-buttons').addEventListener('click', (e) => {
+            if (e.target.classList.contains('sound-btn')) {
+                this.callbacks.toggleAmbient(e.target.dataset.soundType);
+            }
+        });
+        this.elements.ambientVolumeInput.addEventListener('input', () => {
+            this.setAmbientVolume(parseInt(this.elements.ambientVolumeInput.value));
+        });
+        
         // Combo selection controls - use event delegation for dynamic buttons
         document.querySelector('.combo-buttons').addEventListener('click', (e) => {
             if (e.target.classList.contains('sound-btn')) {
@@ -187,16 +479,23 @@ class UIManager {
             }
         });
         
-        // Duration input validation
+        // Show timing mode: a duration or a wall-clock end time
+        this.elements.timingModeSelect.addEventListener('change', () => {
+            const isEndTime = this.getTimingMode() === 'endTime';
+            this.elements.durationGroup.style.display = isEndTime ? 'none' : 'block';
+            this.elements.endTimeGroup.style.display = isEndTime ? 'block' : 'none';
+        });
+        
+        // Duration input validation (minutes, m:ss or h:mm:ss)
         this.elements.durationInput.addEventListener('input', (e) => {
-            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+            e.target.value = e.target.value.replace(/[^0-9:]/g, '');
         });
         
         this.elements.durationInput.addEventListener('blur', (e) => {
-            const value = parseInt(e.target.value);
-            if (isNaN(value) || value < 1) {
+            const seconds = this.parseDurationInput(e.target.value);
+            if (seconds === null || seconds < 1) {
                 e.target.value = 1;
-            } else if (value > 999) {
+            } else if (seconds > 999 * 60) {
                 e.target.value = 999;
             }
         });
@@ -230,11 +529,205 @@ class UIManager {
         this.elements.set60BpmBtn.addEventListener('click', () => this.callbacks.set60Bpm());
         this.elements.set110BpmBtn.addEventListener('click', () => this.callbacks.set110Bpm());
         
+        // BPM ramp button
+        this.elements.rampBtn.addEventListener('click', () => {
+            const targetBpm = parseInt(this.elements.rampTargetInput.value);
+            if (!isNaN(targetBpm)) {
+                this.callbacks.rampBpm(window.bpmConfig.clampBpm(targetBpm));
+            }
+        });
+        
+        // Auto-tempo controls
+        this.elements.autoTempoBtn.addEventListener('click', () => this.callbacks.toggleAutoTempo());
+        const applyAutoTempoLimits = () => {
+            if (this.callbacks.setAutoTempoLimits) {
+                this.callbacks.setAutoTempoLimits(this.getAutoTempoLimits());
+            }
+        };
+        this.elements.autoTempoDeviationInput.addEventListener('change', applyAutoTempoLimits);
+        this.elements.autoTempoRateInput.addEventListener('change', applyAutoTempoLimits);
+        
+        // Meter controls
+        this.elements.meterSelect.addEventListener('change', () => {
+            if (this.callbacks.setMeter) {
+                this.callbacks.setMeter(this.elements.meterSelect.value);
+            }
+        });
+        this.elements.showBarBeatToggle.addEventListener('change', () => {
+            if (this.callbacks.onShowBarBeatChanged) {
+                this.callbacks.onShowBarBeatChanged(this.getShowBarBeatValue());
+            }
+        });
+        
+        // Subdivision and swing controls
+        this.elements.subdivisionSelect.addEventListener('change', () => {
+            if (this.callbacks.setSubdivision) {
+                this.callbacks.setSubdivision(this.getSubdivisionValue());
+            }
+        });
+        this.elements.swingInput.addEventListener('change', () => {
+            if (this.callbacks.setSwing) {
+                this.callbacks.setSwing(this.getSwingValue());
+            }
+        });
+        
+        // Live edit controls: adjust buttons carry their step in data-beats / data-seconds
+        this.elements.liveEditControls.addEventListener('click', (e) => {
+            if (e.target.dataset.beats) {
+                this.callbacks.adjustCountdown(parseInt(e.target.dataset.beats));
+            } else if (e.target.dataset.seconds) {
+                this.callbacks.adjustRemainingTime(parseInt(e.target.dataset.seconds));
+            }
+        });
+        this.elements.setBeatsInput.addEventListener('change', () => {
+            const beats = parseInt(this.elements.setBeatsInput.value);
+            if (!isNaN(beats)) {
+                this.callbacks.setCountdown(beats);
+            }
+            this.elements.setBeatsInput.value = '';
+        });
+        this.elements.setTimeInput.addEventListener('change', () => {
+            const seconds = this.parseTimeInput(this.elements.setTimeInput.value);
+            if (seconds !== null) {
+                this.callbacks.setRemainingTime(seconds);
+            }
+            this.elements.setTimeInput.value = '';
+        });
+        
+        // Cue list controls
+        this.elements.cueArmBtn.addEventListener('click', () => this.callbacks.toggleCueArm());
+        this.elements.cueFireNextBtn.addEventListener('click', () => this.callbacks.fireNextCue());
+        this.elements.cueActionSelect.addEventListener('change', () => {
+            this.elements.cueValueInput.setAttribute('list', `cueOptions-${this.elements.cueActionSelect.value}`);
+        });
+        this.elements.addCueBtn.addEventListener('click', () => {
+            const added = this.callbacks.addCue({
+                trigger: this.elements.cueTriggerInput.value,
+                action: this.elements.cueActionSelect.value,
+                value: this.elements.cueValueInput.value
+            });
+            if (added) {
+                this.elements.cueTriggerInput.value = '';
+                this.elements.cueValueInput.value = '';
+            }
+        });
+        
+        // Cue rows - use event delegation for dynamic rows
+        this.elements.cueList.addEventListener('click', (e) => {
+            const row = e.target.closest('.cue-row');
+            if (!row) return;
+            
+            const cueId = parseInt(row.dataset.cueId);
+            if (e.target.classList.contains('cue-skip-btn')) {
+                this.callbacks.toggleSkipCue(cueId);
+            } else if (e.target.classList.contains('cue-remove-btn')) {
+                this.callbacks.removeCue(cueId);
+            }
+        });
+        this.elements.cueList.addEventListener('change', (e) => {
+            const row = e.target.closest('.cue-row');
+            if (!row) return;
+            
+            const cueId = parseInt(row.dataset.cueId);
+            if (e.target.classList.contains('cue-trigger-input')) {
+                this.callbacks.updateCue(cueId, { trigger: e.target.value });
+            } else if (e.target.classList.contains('cue-value-input')) {
+                this.callbacks.updateCue(cueId, { value: e.target.value });
+            }
+        });
+        
+        // Custom sound import: drop files or click to choose them
+        const dropZone = this.elements.soundDropZone;
+        dropZone.addEventListener('click', () => this.elements.soundFileInput.click());
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.addSoundImports(e.dataTransfer.files);
+        });
+        this.elements.soundFileInput.addEventListener('change', (e) => {
+            this.addSoundImports(e.target.files);
+            e.target.value = '';
+        });
+        this.elements.soundImportList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('sound-import-type')) {
+                const row = e.target.closest('.sound-import-row');
+                row.querySelector('.sound-import-bpm').hidden = e.target.value !== 'combo';
+            }
+        });
+        this.elements.soundImportList.addEventListener('click', (e) => {
+            const row = e.target.closest('.sound-import-row');
+            if (!row) return;
+            
+            if (e.target.classList.contains('sound-import-btn')) {
+                this.importSound(row);
+            } else if (e.target.classList.contains('sound-import-cancel-btn')) {
+                this.pendingImports.delete(parseInt(row.dataset.importId));
+                row.remove();
+            }
+        });
+        this.elements.customSoundList.addEventListener('click', (e) => {
+            if (e.target.classList.contains('custom-sound-remove-btn')) {
+                this.callbacks.removeCustomSound(e.target.closest('.custom-sound-row').dataset.sound);
+            }
+        });
+        
+        // Synth designer
+        this.elements.synthPresetSelect.addEventListener('change', (e) => this.loadSynthPreset(e.target.value));
+        this.elements.synthAuditionBtn.addEventListener('click', () => this.callbacks.auditionSynth(this.getSynthParameters()));
+        this.elements.synthSaveBtn.addEventListener('click', async () => {
+            const saved = await this.callbacks.saveSynthSound({
+                label: this.elements.synthLabelInput.value.trim(),
+                synth: this.getSynthParameters()
+            });
+            if (saved) {
+                this.elements.synthLabelInput.value = '';
+            }
+        });
+        
         // Oneshot stop button
         if (this.elements.stopOneshotBtn) {
             this.elements.stopOneshotBtn.addEventListener('click', () => this.callbacks.onOneshotSoundStop());
         }
         
+        // Ducking of the beats under oneshots
+        const applyDucking = () => this.callbacks.setDucking(this.getDucking());
+        this.elements.duckAmountInput.addEventListener('change', applyDucking);
+        this.elements.duckAttackInput.addEventListener('change', applyDucking);
+        this.elements.duckReleaseInput.addEventListener('change', applyDucking);
+        
+        // Latency compensation: typed values, per-display rows and tap calibration
+        this.elements.latencyList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('latency-input')) {
+                const row = e.target.closest('.latency-row');
+                const value = parseFloat(e.target.value);
+                this.callbacks.setLatency(row.dataset.target, row.dataset.displayId || null, isNaN(value) ? null : value);
+            }
+        });
+        this.elements.latencyList.addEventListener('click', (e) => {
+            const row = e.target.closest('.latency-row');
+            if (!row) return;
+            
+            if (e.target.classList.contains('latency-calibrate-btn')) {
+                this.callbacks.startLatencyCalibration(row.dataset.target, row.dataset.displayId || null);
+            } else if (e.target.classList.contains('latency-remove-btn')) {
+                this.callbacks.removeLatencyDisplay(row.dataset.displayId);
+            }
+        });
+        this.elements.addLatencyDisplayBtn.addEventListener('click', () => {
+            const displayId = this.elements.latencyDisplayIdInput.value.trim();
+            if (displayId) {
+                this.callbacks.setLatency('display', displayId, 0);
+                this.elements.latencyDisplayIdInput.value = '';
+            }
+        });
+        this.elements.latencyTapBtn.addEventListener('click', () => this.callbacks.onLatencyTap());
+        this.elements.latencyCancelBtn.addEventListener('click', () => this.callbacks.cancelLatencyCalibration());
+        
         // Keyboard event listeners for tap tempo
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
     }
@@ -513,21 +1006,23 @@ class UIManager {
         
         const soundConfig = this.soundConfig.getSoundInfo(soundType);
         if (soundConfig && soundConfig.bpm) {
-            // Extract the base sound name by removing the BPM suffix
-            let baseSoundName = soundConfig.label.replace(/\s+\d+$/, '');
+            // Use the explicit base sound, or extract it by removing the BPM suffix
+            let baseSoundName = soundConfig.sound || soundConfig.label.replace(/\s+\d+$/, '');
             
             // Handle special cases where the base sound name might be different
             if (baseSoundName === 'Heartbeat') {
                 baseSoundName = 'Heart Beat';
             }
             
-            // Set the sound type and BPM
+            // Set the sound type and BPM (ramping combos move the BPM display as they go)
             this.setSoundType(baseSoundName);
-            this.setBpm(soundConfig.bpm);
+            if (!soundConfig.ramp) {
+                this.setBpm(soundConfig.bpm);
+            }
             
             // Notify main app to apply the changes
             if (this.callbacks.onComboSoundPlay) {
-                this.callbacks.onComboSoundPlay(soundType, soundConfig.bpm);
+                this.callbacks.onComboSoundPlay(soundType, soundConfig.bpm, soundConfig.ramp || null);
             }
         }
     }
@@ -619,6 +1114,430 @@ class UIManager {
         }
     }
     
+    /**
+     * Update tempo ramp status display
+     */
+    updateRampStatus(tempoRamp) {
+        if (!this.elements.rampStatus) return;
+        
+        if (tempoRamp) {
+            const length = tempoRamp.beats > 0 ? `${tempoRamp.beats} beats` : `${tempoRamp.seconds}s`;
+            this.elements.rampStatus.textContent = `Ramping ${Math.round(tempoRamp.startBpm)} → ${tempoRamp.targetBpm} BPM over ${length}`;
+            this.elements.rampStatus.style.display = 'block';
+        } else {
+            this.elements.rampStatus.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Update auto-tempo button and status display
+     */
+    updateAutoTempoStatus(autoTempoState) {
+        if (!this.elements.autoTempoBtn) return;
+        
+        this.elements.autoTempoBtn.textContent = `Auto Tempo: ${autoTempoState.enabled ? 'On' : 'Off'}`;
+        this.elements.autoTempoBtn.classList.toggle('auto-tempo-on', autoTempoState.enabled);
+        
+        if (!autoTempoState.enabled) {
+            this.elements.autoTempoStatus.style.display = 'none';
+            return;
+        }
+        
+        const offset = Math.round(autoTempoState.bpm - autoTempoState.baseBpm);
+        this.elements.autoTempoStatus.textContent = autoTempoState.isCorrecting
+            ? `AUTO: correcting ${offset > 0 ? '+' : ''}${offset} BPM from ${Math.round(autoTempoState.baseBpm)}`
+            : 'AUTO: on time';
+        this.elements.autoTempoStatus.classList.toggle('correcting', autoTempoState.isCorrecting);
+        this.elements.autoTempoStatus.style.display = 'block';
+    }
+    
+    /**
+     * Update the beat-in-bar dots (hidden when no meter is set or the toggle is off)
+     */
+    updateBeatInBar(beatInBar, beatsPerBar) {
+        const display = this.elements.barBeatDisplay;
+        if (!display) return;
+        
+        if (!beatsPerBar || !this.getShowBarBeatValue()) {
+            display.style.display = 'none';
+            return;
+        }
+        
+        // Rebuild the dots when the meter changes
+        if (display.children.length !== beatsPerBar) {
+            display.innerHTML = '';
+            for (let i = 1; i <= beatsPerBar; i++) {
+                const dot = document.createElement('span');
+                dot.className = i === 1 ? 'bar-beat-dot downbeat' : 'bar-beat-dot';
+                display.appendChild(dot);
+            }
+        }
+        
+        Array.from(display.children).forEach((dot, index) => {
+            dot.classList.toggle('active', index + 1 === beatInBar);
+        });
+        display.style.display = 'flex';
+    }
+    
+    /**
+     * Offer to resume a saved show (beats and time it would have left now)
+     */
+    showResumeOffer(beatsLeft, remainingTimeSeconds) {
+        const minutes = Math.floor(remainingTimeSeconds / 60);
+        const seconds = remainingTimeSeconds % 60;
+        const time = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        
+        this.elements.resumeInfo.textContent = `A show was still running: ${beatsLeft} beats, ${time} left`;
+        this.elements.resumePanel.style.display = 'block';
+    }
+    
+    hideResumeOffer() {
+        this.elements.resumePanel.style.display = 'none';
+    }
+    
+    /**
+     * Update the count-in display (null hides it)
+     */
+    updateCountIn(count) {
+        const display = this.elements.countInDisplay;
+        
+        if (count === null) {
+            display.style.display = 'none';
+            return;
+        }
+        
+        display.textContent = `Count-in: ${count}`;
+        display.style.display = 'block';
+    }
+    
+    /**
+     * Update the show timeline section display (null hides it)
+     */
+    updateSection(section, index, sectionCount) {
+        if (!section) {
+            this.elements.sectionControls.style.display = 'none';
+            return;
+        }
+        
+        this.elements.sectionName.textContent = `${index + 1}/${sectionCount} ${section.name}`;
+        this.elements.prevSectionBtn.disabled = index === 0;
+        this.elements.nextSectionBtn.disabled = index === sectionCount - 1;
+        this.elements.sectionControls.style.display = 'flex';
+    }
+    
+    /**
+     * Render the cue list (rows are rebuilt on every change)
+     */
+    renderCueList(cues, nextCue, isArmed, formatTrigger) {
+        const actionLabels = {
+            oneshot: 'Play oneshot',
+            sound: 'Change sound',
+            ending: 'Change ending',
+            bpm: 'Set BPM',
+            message: 'Display message'
+        };
+        
+        // Keep an edit in progress when the list re-renders (cues fire while the show runs)
+        const active = document.activeElement;
+        const editing = active && active.tagName === 'INPUT' && this.elements.cueList.contains(active)
+            ? { cueId: active.closest('.cue-row').dataset.cueId, className: active.className, value: active.value }
+            : null;
+        
+        this.elements.cueList.innerHTML = '';
+        
+        cues.forEach(cue => {
+            const row = document.createElement('div');
+            row.className = `cue-row cue-${cue.status}`;
+            row.classList.toggle('cue-next', cue === nextCue);
+            row.dataset.cueId = cue.id;
+            
+            const triggerInput = document.createElement('input');
+            triggerInput.type = 'text';
+            triggerInput.className = 'cue-trigger-input';
+            triggerInput.value = formatTrigger(cue.trigger);
+            
+            const action = document.createElement('span');
+            action.className = 'cue-action';
+            action.textContent = actionLabels[cue.action];
+            
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.className = 'cue-value-input';
+            valueInput.value = cue.value;
+            valueInput.setAttribute('list', `cueOptions-${cue.action}`);
+            
+            const status = document.createElement('span');
+            status.className = 'cue-status';
+            status.textContent = cue === nextCue ? 'next' : cue.status;
+            
+            const skipButton = document.createElement('button');
+            skipButton.className = 'cue-skip-btn';
+            skipButton.textContent = cue.status === 'skipped' ? 'Unskip' : 'Skip';
+            skipButton.disabled = cue.status !== 'pending' && cue.status !== 'skipped';
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'cue-remove-btn';
+            removeButton.textContent = '✕';
+            
+            [triggerInput, action, valueInput, status, skipButton, removeButton].forEach(element => row.appendChild(element));
+            this.elements.cueList.appendChild(row);
+        });
+        
+        if (editing) {
+            const input = this.elements.cueList.querySelector(`.cue-row[data-cue-id="${editing.cueId}"] .${editing.className}`);
+            if (input) {
+                input.value = editing.value;
+                input.focus();
+            }
+        }
+        
+        this.elements.cueArmBtn.textContent = isArmed ? 'Armed' : 'Disarmed';
+        this.elements.cueArmBtn.classList.toggle('cue-armed', isArmed);
+        this.elements.cueFireNextBtn.disabled = !nextCue;
+    }
+    
+    /**
+     * Add an import row (label, type, BPM for combos) for each dropped audio file
+     */
+    addSoundImports(files) {
+        Array.from(files).forEach(file => {
+            if (file.type && !file.type.startsWith('audio/')) {
+                console.warn(`Skipping ${file.name}: not an audio file`);
+                return;
+            }
+            
+            const importId = this.nextImportId++;
+            this.pendingImports.set(importId, file);
+            
+            const row = document.createElement('div');
+            row.className = 'sound-import-row';
+            row.dataset.importId = importId;
+            
+            const fileName = document.createElement('span');
+            fileName.className = 'sound-import-file';
+            fileName.textContent = file.name;
+            
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.className = 'sound-import-label';
+            labelInput.value = file.name.replace(/\.[^.]+$/, '');
+            labelInput.placeholder = 'Label';
+            
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'ramp-select sound-import-type';
+            [['regular', 'Beat sound'], ['end', 'Ending'], ['oneshot', 'OneShot'], ['combo', 'Combo'], ['ambient', 'Ambient']].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                typeSelect.appendChild(option);
+            });
+            
+            const bpmInput = document.createElement('input');
+            bpmInput.type = 'number';
+            bpmInput.className = 'sound-import-bpm';
+            bpmInput.min = 15;
+            bpmInput.max = 300;
+            bpmInput.value = this.bpm;
+            bpmInput.title = 'Combo BPM';
+            bpmInput.hidden = true;
+            
+            const importButton = document.createElement('button');
+            importButton.className = 'bpm-preset-btn sound-import-btn';
+            importButton.textContent = 'Import';
+            
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'bpm-preset-btn sound-import-cancel-btn';
+            cancelButton.textContent = '✕';
+            
+            [fileName, labelInput, typeSelect, bpmInput, importButton, cancelButton].forEach(element => row.appendChild(element));
+            this.elements.soundImportList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Import the file of an import row; the row goes away once the sound is added
+     */
+    async importSound(row) {
+        const importId = parseInt(row.dataset.importId);
+        const importButton = row.querySelector('.sound-import-btn');
+        
+        importButton.disabled = true;
+        const imported = await this.callbacks.importSound({
+            file: this.pendingImports.get(importId),
+            label: row.querySelector('.sound-import-label').value.trim(),
+            type: row.querySelector('.sound-import-type').value,
+            bpm: parseInt(row.querySelector('.sound-import-bpm').value)
+        });
+        importButton.disabled = false;
+        
+        if (imported) {
+            this.pendingImports.delete(importId);
+            row.remove();
+        }
+    }
+    
+    /**
+     * Show sound loading progress (done of total files)
+     */
+    updateSoundLoadProgress(done, total) {
+        this.elements.soundLoadStatus.hidden = false;
+        this.elements.soundLoadStatus.classList.remove('failed');
+        this.elements.soundLoadProgress.hidden = false;
+        this.elements.soundLoadProgress.max = Math.max(total, 1);
+        this.elements.soundLoadProgress.value = done;
+        this.elements.soundLoadText.textContent = `Loading sounds… ${done}/${total}`;
+    }
+    
+    /**
+     * Report the sounds that could not be loaded ([{ label, fallback, error }]), or hide the status when all loaded
+     */
+    showSoundLoadReport(failedSounds) {
+        if (failedSounds.length === 0) {
+            this.elements.soundLoadStatus.hidden = true;
+            return;
+        }
+        
+        const labels = failedSounds.map(sound => sound.fallback ? `${sound.label} (generated fallback)` : sound.label);
+        this.elements.soundLoadStatus.classList.add('failed');
+        this.elements.soundLoadProgress.hidden = true;
+        this.elements.soundLoadText.textContent = `Could not load: ${labels.join(', ')}`;
+        this.elements.soundLoadStatus.title = failedSounds.map(sound => `${sound.label}: ${sound.error}`).join('\n');
+    }
+    
+    /**
+     * Render the list of imported sounds
+     */
+    renderCustomSounds(sounds) {
+        const typeLabels = { end: 'Ending', oneshot: 'OneShot', combo: 'Combo', ambient: 'Ambient' };
+        
+        this.elements.customSoundList.innerHTML = '';
+        
+        sounds.forEach(sound => {
+            const row = document.createElement('div');
+            row.className = 'custom-sound-row';
+            row.dataset.sound = sound.label;
+            
+            const label = document.createElement('span');
+            label.className = 'custom-sound-label';
+            label.textContent = sound.label;
+            
+            const type = document.createElement('span');
+            type.className = 'custom-sound-type';
+            type.textContent = sound.type === 'combo'
+                ? `Combo ${sound.bpm} BPM`
+                : (typeLabels[sound.type] || (sound.synth ? 'Synth beat' : 'Beat sound'));
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'custom-sound-remove-btn';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove this sound';
+            
+            [label, type, removeButton].forEach(element => row.appendChild(element));
+            this.elements.customSoundList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Render the latency rows: sound output, this screen, displays without their own offset and each display id
+     * reportedLatencyMs is shown for the sound output while it follows the browser
+     */
+    renderLatency(settings, reportedLatencyMs) {
+        const rows = [
+            { target: 'audio', name: 'Sound output', value: settings.audioLatencyMs, placeholder: `auto (${reportedLatencyMs})`,
+                title: 'Time from the audio clock to the speakers; empty follows what the browser reports' },
+            { target: 'screen', name: 'This screen', value: settings.screenOffsetMs,
+                title: 'Shift this screen\'s countdown against the sound (negative shows it earlier)' },
+            { target: 'display', name: 'Displays', value: settings.defaultDisplayOffsetMs,
+                title: 'Shift the displays without their own offset against the sound' }
+        ];
+        Object.keys(settings.displayOffsets).forEach(displayId => {
+            rows.push({ target: 'display', displayId: displayId, name: `Display "${displayId}"`, value: settings.displayOffsets[displayId],
+                title: `Shift display.html?id=${displayId} against the sound` });
+        });
+        
+        this.elements.latencyList.innerHTML = '';
+        
+        rows.forEach(rowSettings => {
+            const row = document.createElement('div');
+            row.className = 'latency-row';
+            row.dataset.target = rowSettings.target;
+            if (rowSettings.displayId) {
+                row.dataset.displayId = rowSettings.displayId;
+            }
+            row.title = rowSettings.title;
+            
+            const name = document.createElement('span');
+            name.className = 'latency-name';
+            name.textContent = rowSettings.name;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '1';
+            input.className = 'latency-input';
+            input.value = rowSettings.value !== null ? rowSettings.value : '';
+            input.placeholder = rowSettings.placeholder || '0';
+            
+            const unit = document.createElement('span');
+            unit.className = 'latency-unit';
+            unit.textContent = 'ms';
+            
+            const calibrateButton = document.createElement('button');
+            calibrateButton.className = 'bpm-preset-btn latency-calibrate-btn';
+            calibrateButton.textContent = 'Calibrate';
+            
+            [name, input, unit, calibrateButton].forEach(element => row.appendChild(element));
+            
+            if (rowSettings.displayId) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'custom-sound-remove-btn latency-remove-btn';
+                removeButton.textContent = '✕';
+                removeButton.title = 'Remove this display\'s offset';
+                row.appendChild(removeButton);
+            }
+            
+            this.elements.latencyList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Show the tap calibration prompt and progress, or hide it (status null)
+     */
+    setLatencyCalibration(status) {
+        this.isCalibratingLatency = status !== null;
+        this.elements.latencyCalibration.hidden = status === null;
+        this.elements.latencyCalibrationStatus.textContent = status || '';
+    }
+    
+    /**
+     * Show that a practice track is being rendered (the button is disabled meanwhile)
+     */
+    setRenderingTrack(isRendering) {
+        this.elements.renderTrackBtn.disabled = isRendering;
+        this.elements.renderTrackBtn.textContent = isRendering ? '⏳ Rendering…' : '⬇️ Download Practice Track';
+    }
+    
+    /**
+     * Update mute button state
+     */
+    updateMuteButton(isMuted) {
+        this.elements.muteBtn.textContent = isMuted ? '🔊 Unmute' : '🔇 Mute';
+        this.elements.muteBtn.classList.toggle('muted', isMuted);
+        this.elements.volumeIcon.textContent = isMuted ? '🔇' : '🔊';
+    }
+    
+    /**
+     * Update hold button state
+     */
+    updateHoldButton(isHeld) {
+        if (isHeld) {
+            this.elements.holdBtn.textContent = 'Release Hold';
+            this.elements.holdBtn.classList.add('held');
+        } else {
+            this.elements.holdBtn.textContent = 'Hold';
+            this.elements.holdBtn.classList.remove('held');
+        }
+    }
+    
     /**
      * Update MIDI status display
      */
@@ -631,16 +1550,103 @@ class UIManager {
     }
     
     /**
-     * Get current UI state values
+     * Get the target duration in minutes (fractional for m:ss and h:mm:ss input), NaN if invalid
      */
     getDurationValue() {
-        return parseInt(this.elements.durationInput.value);
+        const seconds = this.parseDurationInput(this.elements.durationInput.value);
+        return seconds === null ? NaN : seconds / 60;
+    }
+    
+    /**
+     * Parse a duration: a plain number is minutes, otherwise m:ss or h:mm:ss
+     */
+    parseDurationInput(text) {
+        const trimmed = String(text).trim();
+        if (!trimmed.includes(':')) {
+            const minutes = parseInt(trimmed);
+            return isNaN(minutes) ? null : minutes * 60;
+        }
+        return this.parseTimeInput(trimmed);
+    }
+    
+    getTimingMode() {
+        return this.elements.timingModeSelect.value;
+    }
+    
+    /**
+     * Get the end time as a Date.now() timestamp; a time that has already passed today means tomorrow
+     */
+    getEndTimeValue() {
+        const parts = this.elements.endTimeInput.value.split(':').map(part => parseInt(part));
+        if (parts.length < 2 || parts.some(part => isNaN(part))) {
+            return null;
+        }
+        
+        const endTime = new Date();
+        endTime.setHours(parts[0], parts[1], parts[2] || 0, 0);
+        if (endTime.getTime() <= Date.now()) {
+            endTime.setDate(endTime.getDate() + 1);
+        }
+        return endTime.getTime();
     }
     
     getTotalBeatsValue() {
         return parseInt(this.elements.totalBeatsInput.value);
     }
     
+    getFreezeClockValue() {
+        return this.elements.freezeClockCheckbox.checked;
+    }
+    
+    getCountInValue() {
+        const countInBeats = parseInt(this.elements.countInInput.value);
+        return isNaN(countInBeats) ? 0 : Math.max(0, Math.min(16, countInBeats));
+    }
+    
+    getShowCountInValue() {
+        return this.elements.showCountInCheckbox.checked;
+    }
+    
+    /**
+     * Parse a typed time ("mm:ss", "h:mm:ss" or plain seconds) into seconds, or null if invalid
+     */
+    parseTimeInput(text) {
+        const parts = String(text).trim().split(':').map(part => parseInt(part));
+        if (parts.length === 0 || parts.length > 3 || parts.some(part => isNaN(part) || part < 0)) {
+            return null;
+        }
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+    
+    getTimelineValue() {
+        return this.elements.timelineInput.value.trim();
+    }
+    
+    getMeterValue() {
+        return this.elements.meterSelect.value;
+    }
+    
+    getShowBarBeatValue() {
+        return this.elements.showBarBeatToggle.checked;
+    }
+    
+    getSubdivisionValue() {
+        return parseInt(this.elements.subdivisionSelect.value) || 1;
+    }
+    
+    getSwingValue() {
+        return parseFloat(this.elements.swingInput.value) || 0;
+    }
+    
+    /**
+     * Set the meter, subdivision and swing controls (e.g. for a resumed show) without applying them
+     */
+    setMeterControls(meter, subdivision, swing) {
+        this.elements.meterSelect.value = meter;
+        this.elements.subdivisionSelect.value = String(subdivision);
+        this.elements.swingInput.value = swing;
+    }
+    
     getSelectedSound() {
         return this.selectedSound;
     }
@@ -657,6 +1663,64 @@ class UIManager {
         return this.volume;
     }
     
+    /**
+     * Get ramp settings ({ beats | seconds, curve }) from the ramp controls
+     */
+    getRampSettings() {
+        const length = Math.max(1, parseInt(this.elements.rampLengthInput.value) || 1);
+        const unit = this.elements.rampUnitSelect.value;
+        
+        return {
+            beats: unit === 'beats' ? length : 0,
+            seconds: unit === 'seconds' ? length : 0,
+            curve: this.elements.rampCurveSelect.value
+        };
+    }
+    
+    /**
+     * Get auto-tempo limits from the auto-tempo inputs
+     */
+    getAutoTempoLimits() {
+        const maxDeviationPercent = parseFloat(this.elements.autoTempoDeviationInput.value);
+        const maxChangePerBeat = parseFloat(this.elements.autoTempoRateInput.value);
+        
+        return {
+            maxDeviationPercent: isNaN(maxDeviationPercent) ? 15 : maxDeviationPercent,
+            maxChangePerBeat: isNaN(maxChangePerBeat) ? 1 : maxChangePerBeat
+        };
+    }
+    
+    /**
+     * Set the auto-tempo inputs ({ maxDeviationPercent, maxChangePerBeat }) without applying them
+     */
+    setAutoTempoLimits(limits) {
+        this.elements.autoTempoDeviationInput.value = limits.maxDeviationPercent;
+        this.elements.autoTempoRateInput.value = limits.maxChangePerBeat;
+    }
+    
+    /**
+     * Get the ducking settings from the ducking inputs (amount in dB, attack and release in seconds)
+     */
+    getDucking() {
+        const amount = parseFloat(this.elements.duckAmountInput.value);
+        const attack = parseFloat(this.elements.duckAttackInput.value);
+        const release = parseFloat(this.elements.duckReleaseInput.value);
+        const defaults = this.soundConfig.ducking;
+        
+        return {
+            amount: isNaN(amount) ? defaults.amount : Math.max(0, Math.min(40, amount)),
+            attack: isNaN(attack) ? defaults.attack : Math.max(0, attack),
+            release: isNaN(release) ? defaults.release : Math.max(0, release)
+        };
+    }
+    
+    /**
+     * Get ramp settings for regular BPM changes, or null when they should jump
+     */
+    getBpmChangeRamp() {
+        return this.elements.rampModeToggle.checked ? this.getRampSettings() : null;
+    }
+    
     /**
      * Set BPM and update UI
      */
@@ -680,10 +1744,47 @@ class UIManager {
         }
     }
     
+    /**
+     * Set the ambient bed volume (0-100) and update UI
+     */
+    setAmbientVolume(volume) {
+        this.elements.ambientVolumeInput.value = volume;
+        this.elements.ambientVolumeValue.textContent = volume;
+        
+        if (this.callbacks.setAmbientVolume) {
+            this.callbacks.setAmbientVolume(volume);
+        }
+    }
+    
+    /**
+     * Get the ambient bed volume
+     */
+    getAmbientVolume() {
+        return parseInt(this.elements.ambientVolumeInput.value);
+    }
+    
+    /**
+     * Mark the ambient bed that is playing (null when none is)
+     */
+    setAmbientPlaying(soundType) {
+        this.playingAmbient = soundType;
+        
+        this.soundConfig.getAmbientSounds().forEach(sound => {
+            if (this.soundButtons[sound.label]) {
+                this.soundButtons[sound.label].classList.toggle('active', sound.label === soundType);
+            }
+        });
+    }
+    
     /**
      * Handle keyboard input for tap tempo and stop/resume
      */
     handleKeyDown(e) {
+        // Leave keys alone while typing in a form field (e.g. the ramp inputs)
+        if (e.target.matches && e.target.matches('input, select, textarea')) {
+            return;
+        }
+        
         // Handle Shift key for tap tempo
         if (e.key === 'Shift' && !e.repeat) {
             this.handleTapTempo();
@@ -694,6 +1795,16 @@ class UIManager {
             this.confirmSuggestedBpm();
         }
         
+        // Handle M to toggle the panic mute
+        if ((e.key === 'm' || e.key === 'M') && !e.repeat) {
+            this.callbacks.toggleMute();
+        }
+        
+        // Handle T to tap along during latency calibration
+        if ((e.key === 't' || e.key === 'T') && !e.repeat && this.isCalibratingLatency) {
+            this.callbacks.onLatencyTap();
+        }
+        
         // Handle Spacebar to toggle stop/resume
         if (e.key === ' ' && !e.repeat) {
             e.preventDefault(); // Prevent page scroll
@@ -825,6 +1936,7 @@ class UIManager {
         this.setSoundType('Opening Loop');
         this.setEndingSoundType('Boom');
         this.updateStopButton(true);
+        this.updateSection(null);
         this.resetTapTempo();
     }
 }
@@ -0,0 +1,64 @@
+/**
+ * WAV Encoder Module
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file
+ */
+class WavEncoder {
+    /**
+     * Encode an AudioBuffer (any number of channels) to the bytes of a WAV file
+     */
+    encode(audioBuffer) {
+        const channelCount = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const frameCount = audioBuffer.length;
+        const bytesPerSample = 2;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frameCount * blockAlign;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        // RIFF header
+        this.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        this.writeString(view, 8, 'WAVE');
+
+        // Format chunk: PCM
+        this.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+
+        // Data chunk: interleaved samples, clipped to -1..1
+        this.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        let offset = 44;
+        for (let frame = 0; frame < frameCount; frame++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Write an ASCII string (chunk id) into the header
+     */
+    writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
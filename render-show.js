@@ -0,0 +1,122 @@
+/**
+ * Render a show to a WAV practice track from the command line, with the same
+ * scheduling code as the app (js/show-renderer.js)
+ *
+ * Usage:
+ *   node render-show.js --beats 600 --duration 10:00 [--sound Thump] [--ending Boom] [--meter 4] [--subdivide 2 --swing 50] [--out show.wav]
+ *   node render-show.js --beats 300 --bpm 90 ...
+ *   node render-show.js --timeline show.json ...
+ *
+ * Needs the optional dependency node-web-audio-api for the OfflineAudioContext
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The browser modules the renderer needs, in dependency order
+const modules = [
+    'js/bpm-config.js',
+    'js/tempo-ramp.js',
+    'js/sound-config.js',
+    'js/ending-sequence.js',
+    'js/audio-manager.js',
+    'js/show-timeline.js',
+    'js/show-renderer.js',
+    'js/wav-encoder.js'
+];
+
+/**
+ * Parse --name value pairs
+ */
+function parseArguments(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Parse a duration as minutes, m:ss or h:mm:ss into seconds
+ */
+function parseDuration(value) {
+    if (!value) return null;
+    const parts = value.split(':').map(Number);
+    if (parts.length === 1) return parts[0] * 60;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Load the optional node-web-audio-api, or explain what is missing
+ */
+function loadWebAudio() {
+    try {
+        return require('node-web-audio-api');
+    } catch (error) {
+        throw new Error('the optional dependency node-web-audio-api is needed (npm install node-web-audio-api; ' +
+            `on Linux it needs the ALSA library, libasound2): ${error.message.split('\n')[0]}`);
+    }
+}
+
+/**
+ * Load the browser modules into a context that looks enough like a window
+ * Sound files are read from disk instead of fetched; the modules' logging is quieted
+ * (the per-beat playback log), warnings and errors still show
+ */
+function createBrowserContext(OfflineAudioContext) {
+    const context = {
+        console: { log: () => {}, warn: console.warn, error: console.error },
+        OfflineAudioContext: OfflineAudioContext,
+        fetch: async (url) => {
+            const content = fs.readFileSync(path.join(__dirname, url));
+            return {
+                ok: true,
+                arrayBuffer: async () => content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+            };
+        }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    modules.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+    });
+
+    // Classes are not globals of the context, so expose the ones used here
+    vm.runInContext('window.SoundConfig = SoundConfig; window.ShowRenderer = ShowRenderer; window.WavEncoder = WavEncoder;', context);
+    return context;
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const { OfflineAudioContext } = loadWebAudio();
+    const browser = createBrowserContext(OfflineAudioContext);
+
+    const show = {
+        totalBeats: options.beats,
+        durationSeconds: parseDuration(options.duration),
+        bpm: options.bpm ? Number(options.bpm) : null,
+        timeline: options.timeline ? fs.readFileSync(options.timeline, 'utf8') : null,
+        sound: options.sound || 'Thump',
+        endingSound: options.ending || 'Boom',
+        beatsPerBar: parseInt(options.meter) || 0,
+        subdivision: parseInt(options.subdivide) || 1,
+        swing: Number(options.swing) || 0
+    };
+
+    const renderer = new browser.ShowRenderer(new browser.SoundConfig());
+    const audioBuffer = await renderer.render(show, { sampleRate: parseInt(options.rate) || 44100 });
+    const wav = new browser.WavEncoder().encode(audioBuffer);
+
+    const outFile = options.out || 'practice-track.wav';
+    fs.writeFileSync(outFile, Buffer.from(wav));
+    process.stdout.write(`Rendered ${audioBuffer.duration.toFixed(1)} s to ${outFile}\n`);
+}
+
+main().catch(error => {
+    process.stderr.write(`Could not render show: ${error.message}\n`);
+    process.exit(1);
+});
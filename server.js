@@ -34,19 +34,36 @@ const server = http.createServer((req, res) => {
     
     const contentType = mimeTypes[extname] || 'application/octet-stream';
     
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if (error.code === 'ENOENT') {
-                res.writeHead(404, { 'Content-Type': 'text/html' });
-                res.end('<h1>404 Not Found</h1>', 'utf-8');
+    fs.stat(filePath, (statError, stats) => {
+        // Browsers keep the files and check back for changes (ETag / Last-Modified), so sounds
+        // are not downloaded again on the next visit unless they changed
+        const validators = statError ? {} : {
+            'ETag': `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': 'no-cache'
+        };
+        
+        if (!statError && (req.headers['if-none-match'] === validators['ETag'] ||
+            (!req.headers['if-none-match'] && req.headers['if-modified-since'] === validators['Last-Modified']))) {
+            res.writeHead(304, validators);
+            res.end();
+            return;
+        }
+        
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                if (error.code === 'ENOENT') {
+                    res.writeHead(404, { 'Content-Type': 'text/html' });
+                    res.end('<h1>404 Not Found</h1>', 'utf-8');
+                } else {
+                    res.writeHead(500);
+                    res.end('Sorry, check with the site admin for error: ' + error.code + ' ..\n');
+                }
             } else {
-                res.writeHead(500);
-                res.end('Sorry, check with the site admin for error: ' + error.code + ' ..\n');
+                res.writeHead(200, Object.assign({ 'Content-Type': contentType }, validators));
+                res.end(content, 'utf-8');
             }
-        } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content, 'utf-8');
-        }
+        });
     });
 });
 